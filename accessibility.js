@@ -0,0 +1,84 @@
+// Accessibility: screen-reader announcements, high contrast, larger balls and
+// audio guidance
+//
+// The board only exists as canvas pixels, so anything a player needs to know
+// is also announced through the #announcer live region. High contrast swaps in
+// the "contrast" theme (it follows prefers-contrast until the player picks a
+// setting), larger balls get a halo that makes them easier to spot without
+// changing their size or the physics, and audio guidance plays a tone whose
+// pitch rises as the nearest free ball nears a free target dent and whose pan
+// points towards that dent.
+
+const ACCESSIBILITY_STORAGE_KEY = 'accessibility';
+const HIGH_CONTRAST_THEME_ID = 'contrast';
+const LARGE_BALL_HALO_SCALE = 1.5; // How far out, in ball radii, the "Larger balls" halo reaches
+const ANNOUNCE_DELAY = 100; // Milliseconds between clearing and filling the live region
+
+let accessibilitySettings = {
+    highContrast: null, // true or false once the player chooses; null follows the system setting
+    largeBalls: false,
+    audioGuidance: false
+};
+
+let announceTimer = null;
+
+function loadAccessibilitySettings() {
+    accessibilitySettings = Object.assign({}, accessibilitySettings, readStorage(ACCESSIBILITY_STORAGE_KEY, {}));
+}
+
+function setAccessibilitySetting(key, value) {
+    accessibilitySettings[key] = value;
+    writeStorage(ACCESSIBILITY_STORAGE_KEY, accessibilitySettings);
+}
+
+function isHighContrast() {
+    if (accessibilitySettings.highContrast !== null) return accessibilitySettings.highContrast;
+    return typeof window !== 'undefined' && window.matchMedia
+        ? window.matchMedia('(prefers-contrast: more)').matches
+        : false;
+}
+
+// Read a message out to screen readers. The region is emptied first so the
+// same message twice in a row (two escapes, say) is still spoken.
+function announce(message) {
+    const region = document.getElementById('announcer');
+    if (!region) return;
+
+    clearTimeout(announceTimer);
+    region.textContent = '';
+    announceTimer = setTimeout(() => {
+        region.textContent = message;
+    }, ANNOUNCE_DELAY);
+}
+
+// How many different target dents hold a ball right now
+function countFilledDents(target) {
+    return new Set(
+        target.ballStates.filter(state => state.captured).map(state => state.cornerIndex)
+    ).size;
+}
+
+// The free ball closest to a free target dent, or null once there is none.
+// dx and dy point from the ball to the dent, in world pixels.
+function findGuidanceTarget(target) {
+    let best = null;
+    target.balls.forEach((ball, ballIndex) => {
+        if (target.ballStates[ballIndex].captured) return;
+
+        for (let spot of target.stickySpots) {
+            if (!spot.isTarget || target.cornerCaptureCache[spot.index]) continue;
+
+            const dx = spot.x - ball.x;
+            const dy = spot.y - ball.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (!best || distance < best.distance) {
+                best = { ballIndex, dentIndex: spot.index, dx, dy, distance };
+            }
+        }
+    });
+    return best;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LARGE_BALL_HALO_SCALE, countFilledDents, findGuidanceTarget };
+}
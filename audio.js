@@ -0,0 +1,114 @@
+// Audio engine: master, sound effect and music buses with saved volume settings
+//
+// Every sound goes through a bus instead of straight to the speakers:
+//
+//   sfx bus ----\
+//                +--> master gain --> destination
+//   music bus --/
+//
+// Sounds are panned left to right with StereoPannerNode where it exists.
+// Sounds can use recorded samples listed in AUDIO_SAMPLE_URLS. Samples are
+// decoded once at startup; any sound without one (or whose file fails to
+// load) keeps its synthesized version in game.js.
+
+const AUDIO_STORAGE_KEY = 'audio';
+
+// Set a URL to replace a synthesized sound with a recorded sample
+const AUDIO_SAMPLE_URLS = {
+    boink: null,
+    clack: null,
+    tada: null,
+    wahwah: null,
+    winTune: null
+};
+
+let audioSettings = {
+    masterVolume: 0.8,
+    sfxVolume: 1,
+    musicVolume: 0.7,
+    muted: false
+};
+
+function loadAudioSettings() {
+    audioSettings = Object.assign({}, audioSettings, readStorage(AUDIO_STORAGE_KEY, {}));
+}
+
+function saveAudioSettings() {
+    writeStorage(AUDIO_STORAGE_KEY, audioSettings);
+}
+
+// Create the audio context and its buses. Throws if Web Audio isn't available.
+function createAudioEngine() {
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    const master = context.createGain();
+    const sfx = context.createGain();
+    const music = context.createGain();
+    const buffers = {};
+
+    sfx.connect(master);
+    music.connect(master);
+    master.connect(context.destination);
+
+    const engine = {
+        context,
+        master,
+        sfx,
+        music,
+
+        // Push the current settings to the bus gains, ramping briefly to avoid clicks
+        applySettings() {
+            const now = context.currentTime;
+            const ramp = (param, value) => {
+                param.cancelScheduledValues(now);
+                param.setValueAtTime(param.value, now);
+                param.linearRampToValueAtTime(value, now + 0.05);
+            };
+            ramp(master.gain, audioSettings.muted ? 0 : audioSettings.masterVolume);
+            ramp(sfx.gain, audioSettings.sfxVolume);
+            ramp(music.gain, audioSettings.musicVolume);
+        },
+
+        async loadSample(name, url) {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`${response.status}`);
+                buffers[name] = await context.decodeAudioData(await response.arrayBuffer());
+            } catch (error) {
+                console.warn(`Could not load sound ${name} from ${url}, using the synthesized one:`, error);
+            }
+        },
+
+        // A stereo panner feeding a bus, from -1 (left) to 1 (right). Browsers
+        // without StereoPannerNode get the bus itself, so sounds play centered.
+        createPanner(pan, bus = sfx) {
+            if (!context.createStereoPanner) return bus;
+            const panner = context.createStereoPanner();
+            panner.pan.value = Math.max(-1, Math.min(1, pan));
+            panner.connect(bus);
+            return panner;
+        },
+
+        // Play a decoded sample on a bus. Returns false if there is no sample
+        // by that name, so the caller can fall back to synthesizing it.
+        playSample(name, bus, { rate = 1, gain = 1, pan = 0 } = {}) {
+            const buffer = buffers[name];
+            if (!buffer) return false;
+
+            const source = context.createBufferSource();
+            const gainNode = context.createGain();
+            source.buffer = buffer;
+            source.playbackRate.value = rate;
+            gainNode.gain.value = gain;
+            source.connect(gainNode);
+            gainNode.connect(engine.createPanner(pan, bus));
+            source.start();
+            return true;
+        }
+    };
+
+    engine.applySettings();
+    for (let name of Object.keys(AUDIO_SAMPLE_URLS)) {
+        if (AUDIO_SAMPLE_URLS[name]) engine.loadSample(name, AUDIO_SAMPLE_URLS[name]);
+    }
+    return engine;
+}
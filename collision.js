@@ -0,0 +1,179 @@
+// Collision helpers for circles against line segments, polygons and each other
+//
+// Shapes are plain objects in canvas pixels:
+//   { type: 'segment', x1, y1, x2, y2, radius }   // a wall with rounded ends (radius = half its thickness)
+//   { type: 'polygon', points: [{ x, y }, ...] }   // a solid convex or concave polygon
+//
+// A contact is { nx, ny, depth }: the unit normal pointing from the shape
+// towards the circle and how far the circle overlaps it.
+
+function closestPointOnSegment(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+
+    // Degenerate segment (a single point)
+    if (lengthSq === 0) return { x: x1, y: y1 };
+
+    const t = Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq));
+    return { x: x1 + t * dx, y: y1 + t * dy };
+}
+
+function circleSegmentContact(circle, segment) {
+    const closest = closestPointOnSegment(circle.x, circle.y, segment.x1, segment.y1, segment.x2, segment.y2);
+    const dx = circle.x - closest.x;
+    const dy = circle.y - closest.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const reach = circle.radius + (segment.radius || 0);
+
+    if (dist >= reach) return null;
+
+    if (dist === 0) {
+        // Circle center sits exactly on the segment; push out along the segment's normal
+        const length = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1) || 1;
+        return {
+            nx: -(segment.y2 - segment.y1) / length,
+            ny: (segment.x2 - segment.x1) / length,
+            depth: reach
+        };
+    }
+
+    return { nx: dx / dist, ny: dy / dist, depth: reach - dist };
+}
+
+// Even-odd rule point-in-polygon test
+function isPointInPolygon(px, py, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > py) !== (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function circlePolygonContact(circle, polygon) {
+    const points = polygon.points;
+    let nearest = null;
+    let nearestDistSq = Infinity;
+
+    // Find the closest point on the polygon's outline
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const closest = closestPointOnSegment(circle.x, circle.y, points[j].x, points[j].y, points[i].x, points[i].y);
+        const dx = circle.x - closest.x;
+        const dy = circle.y - closest.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq < nearestDistSq) {
+            nearestDistSq = distSq;
+            nearest = closest;
+        }
+    }
+
+    if (!nearest) return null;
+
+    const dist = Math.sqrt(nearestDistSq);
+    const inside = isPointInPolygon(circle.x, circle.y, points);
+
+    if (!inside && dist >= circle.radius) return null;
+    if (dist === 0) return null; // Center exactly on the outline; the next step will resolve it
+
+    // Normal points from the outline towards the center, flipped when the center is inside
+    const sign = inside ? -1 : 1;
+    return {
+        nx: sign * (circle.x - nearest.x) / dist,
+        ny: sign * (circle.y - nearest.y) / dist,
+        depth: inside ? circle.radius + dist : circle.radius - dist
+    };
+}
+
+function circleShapeContact(circle, shape) {
+    switch (shape.type) {
+        case 'segment':
+            return circleSegmentContact(circle, shape);
+        case 'polygon':
+            return circlePolygonContact(circle, shape);
+        default:
+            console.warn('Unknown collision shape:', shape.type);
+            return null;
+    }
+}
+
+// Push a ball out along the contact normal and reflect the normal part of its
+// velocity, scaled by restitution. Returns the impact speed (0 if the ball was
+// already moving away from the surface).
+function resolveContact(ball, contact, restitution) {
+    ball.x += contact.nx * contact.depth;
+    ball.y += contact.ny * contact.depth;
+
+    const normalVelocity = ball.vx * contact.nx + ball.vy * contact.ny;
+    if (normalVelocity >= 0) return 0;
+
+    ball.vx -= (1 + restitution) * normalVelocity * contact.nx;
+    ball.vy -= (1 + restitution) * normalVelocity * contact.ny;
+    return -normalVelocity;
+}
+
+// Resolve a ball against every shape and return the hardest impact speed
+function collideWithShapes(ball, shapes, restitution) {
+    let impact = 0;
+    for (let shape of shapes) {
+        const contact = circleShapeContact(ball, shape);
+        if (contact) {
+            impact = Math.max(impact, resolveContact(ball, contact, restitution));
+        }
+    }
+    return impact;
+}
+
+// Collide two balls with a restitution coefficient, conserving momentum.
+// Mass follows each ball's area. Returns the speed at which the balls were
+// closing along the line between their centers (0 if they weren't touching or
+// were already separating).
+function collideBalls(a, b, restitution) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distSq = dx * dx + dy * dy;
+    const minDist = a.radius + b.radius;
+
+    if (distSq >= minDist * minDist) return 0;
+
+    const dist = Math.sqrt(distSq);
+    // Balls stacked on exactly the same spot get pushed apart horizontally
+    const nx = dist > 0 ? dx / dist : 1;
+    const ny = dist > 0 ? dy / dist : 0;
+    const massA = a.radius * a.radius;
+    const massB = b.radius * b.radius;
+    const totalMass = massA + massB;
+
+    // Separate the balls, moving the lighter one further
+    const overlap = minDist - dist;
+    a.x -= nx * overlap * massB / totalMass;
+    a.y -= ny * overlap * massB / totalMass;
+    b.x += nx * overlap * massA / totalMass;
+    b.y += ny * overlap * massA / totalMass;
+
+    const closingVelocity = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+    if (closingVelocity <= 0) return 0;
+
+    const impulse = (1 + restitution) * closingVelocity / (1 / massA + 1 / massB);
+    a.vx -= impulse * nx / massA;
+    a.vy -= impulse * ny / massA;
+    b.vx += impulse * nx / massB;
+    b.vy += impulse * ny / massB;
+    return closingVelocity;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        closestPointOnSegment,
+        circleSegmentContact,
+        circlePolygonContact,
+        circleShapeContact,
+        isPointInPolygon,
+        resolveContact,
+        collideWithShapes,
+        collideBalls
+    };
+}
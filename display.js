@@ -0,0 +1,94 @@
+// Screen control while playing: wake lock, fullscreen and orientation lock
+//
+// Nobody touches the screen while tilting, so phones would otherwise dim and
+// lock mid-run, and turning the phone would flip the board. Each feature is
+// optional: browsers that lack one, or refuse it (fullscreen and orientation
+// locks need a tap or key press to ask), just play without it.
+//
+// The wake lock and the orientation lock are held while a run is running and
+// let go when it pauses or ends. Fullscreen lasts until the player leaves it:
+// leaving changes the board's shape, which would rescale the run in progress.
+
+let screenHoldWanted = false; // True between holdScreenForPlay() and releaseScreenHold()
+let wakeLock = null; // WakeLockSentinel while the screen is being kept on
+let wakeLockPending = false;
+let orientationLocked = false;
+let orientationLockPending = false;
+
+// Both locks are granted asynchronously, so a run can pause or end while one
+// is still being asked for; a lock that arrives after that is let go at once
+async function requestWakeLock() {
+    if (wakeLock || wakeLockPending || !('wakeLock' in navigator)) return;
+    wakeLockPending = true;
+    try {
+        const sentinel = await navigator.wakeLock.request('screen');
+        wakeLockPending = false;
+        if (!screenHoldWanted) {
+            sentinel.release().catch(() => {});
+            return;
+        }
+        wakeLock = sentinel;
+        // The browser drops the lock itself when the page is hidden
+        wakeLock.addEventListener('release', () => {
+            if (wakeLock === sentinel) wakeLock = null;
+        });
+    } catch (error) {
+        wakeLockPending = false;
+        console.warn('Screen wake lock unavailable:', error);
+    }
+}
+
+function releaseWakeLock() {
+    if (!wakeLock) return;
+    wakeLock.release().catch(() => {});
+    wakeLock = null;
+}
+
+// Resolves once the page is fullscreen, or straight away if it can't be
+async function enterFullscreen() {
+    const element = document.documentElement;
+    const request = element.requestFullscreen || element.webkitRequestFullscreen;
+    if (!request || document.fullscreenElement || document.webkitFullscreenElement) return;
+    try {
+        await request.call(element, { navigationUI: 'hide' });
+    } catch (error) {
+        console.warn('Fullscreen unavailable:', error);
+    }
+}
+
+// Keep whichever way up the phone is now
+function lockOrientation() {
+    const orientation = screen.orientation;
+    if (orientationLocked || orientationLockPending || !orientation || typeof orientation.lock !== 'function') return;
+    orientationLockPending = true;
+    orientation.lock(orientation.type).then(() => {
+        orientationLockPending = false;
+        if (!screenHoldWanted) {
+            orientation.unlock();
+            return;
+        }
+        orientationLocked = true;
+    }).catch(error => {
+        orientationLockPending = false;
+        // Most browsers only allow it in fullscreen or an installed app
+        console.warn('Orientation lock unavailable:', error);
+    });
+}
+
+function unlockOrientation() {
+    if (!orientationLocked) return;
+    orientationLocked = false;
+    screen.orientation.unlock();
+}
+
+function holdScreenForPlay() {
+    screenHoldWanted = true;
+    requestWakeLock();
+    lockOrientation();
+}
+
+function releaseScreenHold() {
+    screenHoldWanted = false;
+    releaseWakeLock();
+    unlockOrientation();
+}
@@ -0,0 +1,449 @@
+// Level editor: lays out walls, dents and ball spawn points on the board
+//
+// An editor holds a level as the same plain JSON levels.js reads (positions
+// are fractions of the board) and changes it in response to pointer input in
+// world pixels. It never touches the DOM: game.js shows the level through a
+// preview world, draws the overlay from drawLevelEditor() on top and wires up
+// the toolbar.
+//
+// Tools:
+//   select  drag anything to move it, or a wall's end (or a polygon's corner) to reshape it
+//   wall    drag out a new wall segment
+//   dent    tap to add a target dent, then drag it into place
+//   ball    tap to add a ball spawn point, then drag it into place
+//
+// Every change can be undone. With snapping on, positions are rounded to a
+// grid EDITOR_GRID of the board apart.
+
+const EDITOR_GRID = 0.05; // Snap grid spacing, as a fraction of the board
+const EDITOR_HIT_DISTANCE = 14; // How close a tap must land to pick something, in world pixels
+const EDITOR_MIN_WALL_LENGTH = 10; // Shorter drags with the wall tool don't make a wall, in world pixels
+const EDITOR_HISTORY_LIMIT = 100; // Undo steps kept
+const EDITOR_HIGHLIGHT = '#2196F3';
+const DENT_RADIUS_RANGE = { min: 15, max: 60, step: 1 }; // World pixels
+const DENT_STRENGTH_RANGE = { min: 0.25, max: 3, step: 0.05 }; // Multiple of the tilt needed to leave
+
+// Under Node the helpers come from require(); in the browser collision.js,
+// levels.js and world.js have already defined them as globals
+const EditorDeps = typeof module !== 'undefined' && module.exports
+    ? Object.assign({}, require('./collision.js'), require('./levels.js'), require('./world.js'))
+    : { circleShapeContact, WALL_THICKNESS, STICKY_RADIUS };
+
+// Keep hand-placed positions tidy in the exported JSON
+function roundFraction(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// Short fingerprint of some text (32-bit FNV-1a, in base 36)
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+// The draggable ends of a wall, as fractions: both ends of a segment or every
+// corner of a polygon
+function getWallEnds(wall) {
+    if (wall.points) {
+        return wall.points.map((point, i) => ({ x: point.x, y: point.y, handle: i }));
+    }
+    return [
+        { x: wall.x1, y: wall.y1, handle: 'start' },
+        { x: wall.x2, y: wall.y2, handle: 'end' }
+    ];
+}
+
+// board is { width, height, ballRadius } in world pixels; game.js keeps it in
+// step with the screen
+function createLevelEditor(level, board = { width: 600, height: 600, ballRadius: 15 }) {
+    const undoStack = []; // Levels as JSON text, oldest first
+    const redoStack = [];
+    let coalesceKey = null; // Repeats of the last change with this key share its undo step
+    let drag = null; // Pointer drag in progress
+
+    const editor = {
+        level: toEditable(level),
+        board,
+        tool: 'select', // 'select', 'wall', 'dent' or 'ball'
+        selection: null, // { kind: 'wall', 'dent' or 'ball', index }
+        snap: true,
+
+        get canUndo() {
+            return undoStack.length > 0;
+        },
+
+        get canRedo() {
+            return redoStack.length > 0;
+        },
+
+        // The selected wall, dent or ball, or null
+        getSelected() {
+            const selection = editor.selection;
+            return selection ? itemsOf(selection.kind)[selection.index] : null;
+        },
+
+        setTool(tool) {
+            editor.tool = tool;
+            drag = null;
+        },
+
+        // Pointer input, in world pixels. Each returns true if anything changed.
+        pointerDown(x, y) {
+            const point = toFraction(x, y);
+            const before = snapshot();
+
+            if (editor.tool !== 'select') {
+                const start = snapPoint(point);
+                const kind = editor.tool;
+                if (kind === 'wall') {
+                    editor.level.walls.push({
+                        x1: start.x,
+                        y1: start.y,
+                        x2: start.x,
+                        y2: start.y,
+                        thickness: EditorDeps.WALL_THICKNESS
+                    });
+                } else if (kind === 'dent') {
+                    keepRequired(() => editor.level.dents.push({ x: start.x, y: start.y, target: true }));
+                } else {
+                    keepRequired(() => editor.level.balls.push({ x: start.x, y: start.y }));
+                }
+                const index = itemsOf(kind).length - 1;
+                editor.selection = { kind, index };
+                drag = { kind, index, handle: kind === 'wall' ? 'end' : 'body', before, created: true, moved: false };
+                return true;
+            }
+
+            const hit = hitTest(x, y);
+            editor.selection = hit ? { kind: hit.kind, index: hit.index } : null;
+            if (hit) {
+                drag = Object.assign({}, hit, {
+                    before,
+                    created: false,
+                    moved: false,
+                    startX: point.x,
+                    startY: point.y,
+                    original: JSON.parse(JSON.stringify(itemsOf(hit.kind)[hit.index]))
+                });
+            }
+            return true;
+        },
+
+        pointerMove(x, y) {
+            if (!drag) return false;
+
+            const point = toFraction(x, y);
+            const items = itemsOf(drag.kind);
+            const item = items[drag.index];
+            if (drag.handle === 'start' || drag.handle === 'end') {
+                const end = snapPoint(point);
+                const prefix = drag.handle === 'start' ? 1 : 2;
+                item[`x${prefix}`] = end.x;
+                item[`y${prefix}`] = end.y;
+            } else if (typeof drag.handle === 'number') {
+                item.points[drag.handle] = snapPoint(point);
+            } else if (drag.created) {
+                Object.assign(item, snapPoint(point));
+            } else {
+                items[drag.index] = moveItem(drag.kind, drag.original, point.x - drag.startX, point.y - drag.startY);
+            }
+            drag.moved = true;
+            return true;
+        },
+
+        pointerUp() {
+            if (!drag) return false;
+
+            const finished = drag;
+            drag = null;
+            if (finished.created && finished.kind === 'wall') {
+                // A tap with the wall tool leaves no dot of a wall behind
+                const wall = editor.level.walls[finished.index];
+                const length = Math.hypot((wall.x2 - wall.x1) * editor.board.width, (wall.y2 - wall.y1) * editor.board.height);
+                if (length < EDITOR_MIN_WALL_LENGTH) {
+                    editor.level.walls.splice(finished.index, 1);
+                    editor.selection = null;
+                    return true;
+                }
+            }
+            if (finished.created || finished.moved) {
+                pushHistory(finished.before);
+            }
+            return true;
+        },
+
+        deleteSelection() {
+            const selection = editor.selection;
+            if (!selection) return false;
+
+            change(() => keepRequired(() => itemsOf(selection.kind).splice(selection.index, 1)));
+            editor.selection = null;
+            return true;
+        },
+
+        // 'target', 'radius' or 'strength' of the selected dent. Slider drags
+        // on the same dent make one undo step.
+        setDentProperty(key, value) {
+            const selection = editor.selection;
+            if (!selection || selection.kind !== 'dent') return false;
+
+            const dent = editor.level.dents[selection.index];
+            if (key === 'target') {
+                change(() => keepRequired(() => {
+                    dent.target = value;
+                }));
+            } else {
+                change(() => {
+                    dent[key] = value;
+                }, `dent:${selection.index}:${key}`);
+            }
+            return true;
+        },
+
+        // 'name', 'required' or 'ballCollisions'. Typing a name makes one undo step.
+        setLevelProperty(key, value) {
+            change(() => {
+                editor.level[key] = value;
+            }, `level:${key}`);
+            return true;
+        },
+
+        undo() {
+            if (!undoStack.length) return false;
+            redoStack.push(snapshot());
+            restore(undoStack.pop());
+            return true;
+        },
+
+        redo() {
+            if (!redoStack.length) return false;
+            undoStack.push(snapshot());
+            restore(redoStack.pop());
+            return true;
+        },
+
+        // Replace the whole level (a new or imported one); can be undone
+        load(newLevel) {
+            change(() => {
+                editor.level = toEditable(newLevel);
+            });
+            editor.selection = null;
+        },
+
+        // The level as JSON for parseLevel(). Its id is made from its name and
+        // layout and starts with "custom-", so an edited copy of a bundled
+        // level never shares that level's best times, ghosts or saved runs.
+        toJSON() {
+            const level = JSON.parse(JSON.stringify(editor.level));
+            const slug = level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            const { walls, dents, balls, required, ballCollisions } = level;
+            const hash = hashText(JSON.stringify({ walls, dents, balls, required, ballCollisions }));
+            level.id = slug ? `custom-${slug}-${hash}` : `custom-${hash}`;
+            return level;
+        }
+    };
+
+    function toEditable(source) {
+        const dents = JSON.parse(JSON.stringify(source.dents || []));
+        return {
+            id: source.id,
+            name: source.name || '',
+            walls: JSON.parse(JSON.stringify(source.walls || [])),
+            dents,
+            balls: JSON.parse(JSON.stringify(source.balls || [])),
+            required: source.required !== undefined ? source.required : dents.filter(dent => dent.target !== false).length,
+            ballCollisions: source.ballCollisions === true
+        };
+    }
+
+    function itemsOf(kind) {
+        return editor.level[`${kind}s`];
+    }
+
+    function snapshot() {
+        return JSON.stringify(editor.level);
+    }
+
+    function restore(text) {
+        editor.level = JSON.parse(text);
+        coalesceKey = null;
+        drag = null;
+        if (editor.selection && !editor.getSelected()) {
+            editor.selection = null;
+        }
+    }
+
+    function pushHistory(before, key = null) {
+        if (key && key === coalesceKey) return;
+        coalesceKey = key;
+        undoStack.push(before);
+        if (undoStack.length > EDITOR_HISTORY_LIMIT) {
+            undoStack.shift();
+        }
+        redoStack.length = 0;
+    }
+
+    function change(mutate, key = null) {
+        const before = snapshot();
+        mutate();
+        pushHistory(before, key);
+    }
+
+    // A level that needed as many dents filled as it could (one per target
+    // dent, or per ball if there are fewer) goes on needing that many as
+    // dents and balls come and go; otherwise it never needs more than that
+    function keepRequired(mutate) {
+        const countFillable = () => Math.min(editor.level.dents.filter(dent => dent.target).length, editor.level.balls.length);
+        const wasAll = editor.level.required === countFillable();
+        mutate();
+        editor.level.required = wasAll ? countFillable() : Math.min(editor.level.required, countFillable());
+    }
+
+    function toFraction(x, y) {
+        const clamp = value => Math.max(0, Math.min(1, value));
+        return {
+            x: roundFraction(clamp(x / editor.board.width)),
+            y: roundFraction(clamp(y / editor.board.height))
+        };
+    }
+
+    function snapPoint(point) {
+        if (!editor.snap) return { x: point.x, y: point.y };
+        const snap = value => roundFraction(Math.round(value / EDITOR_GRID) * EDITOR_GRID);
+        return { x: snap(point.x), y: snap(point.y) };
+    }
+
+    // A copy of an item moved by (dx, dy), snapped by its first point and
+    // kept wholly on the board
+    function moveItem(kind, original, dx, dy) {
+        const points = kind === 'wall' ? getWallEnds(original) : [original];
+        const anchor = snapPoint({ x: points[0].x + dx, y: points[0].y + dy });
+        let shiftX = anchor.x - points[0].x;
+        let shiftY = anchor.y - points[0].y;
+        shiftX = Math.max(-Math.min(...points.map(point => point.x)), Math.min(1 - Math.max(...points.map(point => point.x)), shiftX));
+        shiftY = Math.max(-Math.min(...points.map(point => point.y)), Math.min(1 - Math.max(...points.map(point => point.y)), shiftY));
+        const shift = point => ({ x: roundFraction(point.x + shiftX), y: roundFraction(point.y + shiftY) });
+
+        if (kind === 'wall' && original.points) {
+            return Object.assign({}, original, { points: original.points.map(shift) });
+        }
+        if (kind === 'wall') {
+            const start = shift({ x: original.x1, y: original.y1 });
+            const end = shift({ x: original.x2, y: original.y2 });
+            return Object.assign({}, original, { x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+        }
+        return Object.assign({}, original, shift(original));
+    }
+
+    // What's under a point in world pixels: { kind, index, handle }, where
+    // handle is 'body', a segment's 'start' or 'end', or a polygon corner's index
+    function hitTest(x, y) {
+        const { width, height, ballRadius } = editor.board;
+        const near = (point, reach) => Math.hypot(point.x * width - x, point.y * height - y) < reach;
+        const level = editor.level;
+
+        // Balls sit on top of everything else, then the ends of walls
+        for (let i = level.balls.length - 1; i >= 0; i--) {
+            if (near(level.balls[i], ballRadius + EDITOR_HIT_DISTANCE)) return { kind: 'ball', index: i, handle: 'body' };
+        }
+        for (let i = level.walls.length - 1; i >= 0; i--) {
+            const end = getWallEnds(level.walls[i]).find(point => near(point, EDITOR_HIT_DISTANCE));
+            if (end) return { kind: 'wall', index: i, handle: end.handle };
+        }
+        for (let i = level.dents.length - 1; i >= 0; i--) {
+            if (near(level.dents[i], level.dents[i].radius || EditorDeps.STICKY_RADIUS)) return { kind: 'dent', index: i, handle: 'body' };
+        }
+
+        const probe = { x, y, radius: EDITOR_HIT_DISTANCE };
+        for (let i = level.walls.length - 1; i >= 0; i--) {
+            const wall = level.walls[i];
+            const shape = wall.points
+                ? { type: 'polygon', points: wall.points.map(point => ({ x: point.x * width, y: point.y * height })) }
+                : { type: 'segment', x1: wall.x1 * width, y1: wall.y1 * height, x2: wall.x2 * width, y2: wall.y2 * height, radius: wall.thickness / 2 };
+            if (EditorDeps.circleShapeContact(probe, shape)) return { kind: 'wall', index: i, handle: 'body' };
+        }
+        return null;
+    }
+
+    return editor;
+}
+
+// Draw the snap grid, wall ends and selection over the board. context is
+// already scaled to world pixels.
+function drawLevelEditor(context, editor) {
+    const { width, height, ballRadius } = editor.board;
+
+    context.save();
+    if (editor.snap) {
+        context.strokeStyle = 'rgba(33, 150, 243, 0.2)';
+        context.lineWidth = 1;
+        context.beginPath();
+        for (let i = 1; i < Math.round(1 / EDITOR_GRID); i++) {
+            context.moveTo(i * EDITOR_GRID * width, 0);
+            context.lineTo(i * EDITOR_GRID * width, height);
+            context.moveTo(0, i * EDITOR_GRID * height);
+            context.lineTo(width, i * EDITOR_GRID * height);
+        }
+        context.stroke();
+    }
+
+    // Mark every wall end so it can be found and dragged
+    context.fillStyle = 'white';
+    context.strokeStyle = EDITOR_HIGHLIGHT;
+    context.lineWidth = 2;
+    for (let wall of editor.level.walls) {
+        for (let end of getWallEnds(wall)) {
+            context.beginPath();
+            context.arc(end.x * width, end.y * height, 5, 0, Math.PI * 2);
+            context.fill();
+            context.stroke();
+        }
+    }
+
+    const selected = editor.getSelected();
+    if (selected) {
+        context.strokeStyle = EDITOR_HIGHLIGHT;
+        context.lineWidth = 3;
+        context.setLineDash([6, 4]);
+        context.beginPath();
+        switch (editor.selection.kind) {
+            case 'wall':
+                if (selected.points) {
+                    context.moveTo(selected.points[0].x * width, selected.points[0].y * height);
+                    for (let point of selected.points.slice(1)) {
+                        context.lineTo(point.x * width, point.y * height);
+                    }
+                    context.closePath();
+                } else {
+                    // Outline the wall's rounded ends and sides
+                    const angle = Math.atan2((selected.y2 - selected.y1) * height, (selected.x2 - selected.x1) * width);
+                    const reach = selected.thickness / 2 + 4;
+                    context.arc(selected.x2 * width, selected.y2 * height, reach, angle - Math.PI / 2, angle + Math.PI / 2);
+                    context.arc(selected.x1 * width, selected.y1 * height, reach, angle + Math.PI / 2, angle + Math.PI * 3 / 2);
+                    context.closePath();
+                }
+                break;
+            case 'dent':
+                context.arc(selected.x * width, selected.y * height, (selected.radius || EditorDeps.STICKY_RADIUS) + 4, 0, Math.PI * 2);
+                break;
+            case 'ball':
+                context.arc(selected.x * width, selected.y * height, ballRadius + 4, 0, Math.PI * 2);
+                break;
+        }
+        context.stroke();
+    }
+    context.restore();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EDITOR_GRID,
+        DENT_RADIUS_RANGE,
+        DENT_STRENGTH_RANGE,
+        createLevelEditor,
+        drawLevelEditor
+    };
+}
@@ -0,0 +1,172 @@
+// Visual effects over the board: ball trails, impact sparks, capture glows and
+// screen shake
+//
+// Effects are purely cosmetic. They are driven by world events and the frame
+// clock, live in world pixels and never feed back into the simulation. With
+// reduced motion on (it follows prefers-reduced-motion until the player picks
+// a setting), trails, sparks and shake are skipped and glows hold still.
+// Their colors come from the theme (its "effects" entry in themes.js).
+
+const EFFECTS_STORAGE_KEY = 'effects';
+const TRAIL_LENGTH = 10; // Positions remembered per ball
+const TRAIL_MIN_SPEED = 250; // Below this speed (pixels per second) a ball leaves no trail
+const TRAIL_FULL_SPEED = 1200; // Speed at which the trail is longest and brightest
+const SPARK_MIN_SPEED = 350; // Weakest wall hit that throws sparks
+const SPARK_FULL_SPEED = 1200; // Wall hit that throws the most sparks
+const SPARK_MAX_COUNT = 14;
+const SPARK_SPEED = 260; // Pixels per second
+const SPARK_LIFETIME = 0.35; // Seconds
+const GLOW_DURATION = 1.2; // Seconds a capture glow lasts
+const GLOW_PULSES = 3;
+const SHAKE_MIN_SPEED = 700; // Weakest wall hit that shakes the board
+const SHAKE_MAX_OFFSET = 6; // Pixels
+const SHAKE_DURATION = 0.25; // Seconds
+
+let effectsSettings = {
+    reducedMotion: null // true or false once the player chooses; null follows the system setting
+};
+
+let activeEffects = {
+    trails: [], // Recent positions per ball, newest last
+    sparks: [],
+    glows: [],
+    shakeTime: 0,
+    shakeStrength: 0
+};
+
+function loadEffectsSettings() {
+    effectsSettings = Object.assign({}, effectsSettings, readStorage(EFFECTS_STORAGE_KEY, {}));
+}
+
+function setReducedMotion(reduced) {
+    effectsSettings.reducedMotion = reduced;
+    writeStorage(EFFECTS_STORAGE_KEY, effectsSettings);
+    if (reduced) resetEffects();
+}
+
+function isReducedMotion() {
+    if (effectsSettings.reducedMotion !== null) return effectsSettings.reducedMotion;
+    return typeof window !== 'undefined' && window.matchMedia
+        ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        : false;
+}
+
+function resetEffects() {
+    activeEffects = { trails: [], sparks: [], glows: [], shakeTime: 0, shakeStrength: 0 };
+}
+
+// A wall hit: sparks and, for big ones, a shake, both scaled by impact speed
+function addImpactEffect(x, y, speed) {
+    if (isReducedMotion() || speed < SPARK_MIN_SPEED) return;
+
+    const strength = Math.min((speed - SPARK_MIN_SPEED) / (SPARK_FULL_SPEED - SPARK_MIN_SPEED), 1);
+    const count = Math.ceil(strength * SPARK_MAX_COUNT);
+    for (let i = 0; i < count; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const sparkSpeed = SPARK_SPEED * (0.4 + Math.random() * 0.6) * (0.5 + strength);
+        activeEffects.sparks.push({
+            x,
+            y,
+            vx: Math.cos(angle) * sparkSpeed,
+            vy: Math.sin(angle) * sparkSpeed,
+            life: SPARK_LIFETIME
+        });
+    }
+
+    if (speed >= SHAKE_MIN_SPEED) {
+        activeEffects.shakeTime = SHAKE_DURATION;
+        activeEffects.shakeStrength = Math.max(activeEffects.shakeStrength, strength);
+    }
+}
+
+function addCaptureGlow(x, y, radius) {
+    activeEffects.glows.push({ x, y, radius, age: 0 });
+}
+
+// Advance effects by one frame of dt seconds and remember where the balls are
+function updateEffects(dt, balls) {
+    const reduced = isReducedMotion();
+
+    balls.forEach((ball, index) => {
+        const trail = activeEffects.trails[index] || (activeEffects.trails[index] = []);
+        const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+        if (reduced || speed < TRAIL_MIN_SPEED) {
+            trail.length = 0;
+            return;
+        }
+        trail.push({ x: ball.x, y: ball.y, speed });
+        const length = Math.ceil(TRAIL_LENGTH * Math.min(speed / TRAIL_FULL_SPEED, 1));
+        while (trail.length > length) trail.shift();
+    });
+    activeEffects.trails.length = balls.length;
+
+    for (let spark of activeEffects.sparks) {
+        spark.x += spark.vx * dt;
+        spark.y += spark.vy * dt;
+        spark.life -= dt;
+    }
+    activeEffects.sparks = activeEffects.sparks.filter(spark => spark.life > 0);
+
+    for (let glow of activeEffects.glows) {
+        glow.age += dt;
+    }
+    activeEffects.glows = activeEffects.glows.filter(glow => glow.age < GLOW_DURATION);
+
+    activeEffects.shakeTime = Math.max(0, activeEffects.shakeTime - dt);
+    if (activeEffects.shakeTime === 0) activeEffects.shakeStrength = 0;
+}
+
+// Offset to draw the board at this frame, in world pixels
+function getScreenShake() {
+    if (activeEffects.shakeTime === 0 || isReducedMotion()) return { x: 0, y: 0 };
+
+    const amount = SHAKE_MAX_OFFSET * activeEffects.shakeStrength * (activeEffects.shakeTime / SHAKE_DURATION);
+    return {
+        x: (Math.random() * 2 - 1) * amount,
+        y: (Math.random() * 2 - 1) * amount
+    };
+}
+
+function drawCaptureGlows(context, colors) {
+    for (let glow of activeEffects.glows) {
+        const progress = glow.age / GLOW_DURATION;
+        const pulse = isReducedMotion() ? 0.5 : 0.5 + 0.5 * Math.sin(progress * GLOW_PULSES * Math.PI * 2);
+        const radius = glow.radius * (1.2 + 0.4 * pulse);
+        const gradient = context.createRadialGradient(glow.x, glow.y, glow.radius * 0.5, glow.x, glow.y, radius);
+        gradient.addColorStop(0, themeColorWithAlpha(colors.glow, 0.6 * (1 - progress)));
+        gradient.addColorStop(1, themeColorWithAlpha(colors.glow, 0));
+
+        context.beginPath();
+        context.arc(glow.x, glow.y, radius, 0, Math.PI * 2);
+        context.fillStyle = gradient;
+        context.fill();
+    }
+}
+
+function drawTrails(context, balls, colors) {
+    activeEffects.trails.forEach((trail, index) => {
+        const ball = balls[index];
+        if (!ball) return;
+
+        trail.forEach((point, i) => {
+            const age = (i + 1) / (trail.length + 1);
+            const brightness = Math.min(point.speed / TRAIL_FULL_SPEED, 1);
+            context.beginPath();
+            context.arc(point.x, point.y, ball.radius * (0.4 + 0.5 * age), 0, Math.PI * 2);
+            context.fillStyle = themeColorWithAlpha(colors.trail, 0.35 * age * brightness);
+            context.fill();
+        });
+    });
+}
+
+function drawSparks(context, colors) {
+    for (let spark of activeEffects.sparks) {
+        const life = spark.life / SPARK_LIFETIME;
+        context.beginPath();
+        context.moveTo(spark.x, spark.y);
+        context.lineTo(spark.x - spark.vx * 0.03, spark.y - spark.vy * 0.03);
+        context.strokeStyle = themeColorWithAlpha(colors.spark, life);
+        context.lineWidth = 2;
+        context.stroke();
+    }
+}
@@ -1,17 +1,11 @@
 // Game constants
-const BOUNCE_EFFICIENCY = 0.9;
-const BALL_RADIUS = 15;
-const GRAVITY = 0.5;
-const FRICTION = 0.99;
-const ACCELERATION_MULTIPLIER = 0.3; // Increased for better sensitivity
-const STICKY_RADIUS = 30;
-const STICKY_STRENGTH = 0.92; // How much velocity is dampened in sticky spots (higher = less sticky)
-const STICKY_ESCAPE_THRESHOLD = 0.5; // Minimum tilt force needed to escape sticky zone (simulates climbing out of a dent)
-const BOUNCE_THRESHOLD = 2; // Minimum bounce velocity to play sound
-const CORNER_CAPTURE_THRESHOLD = 2.5; // Max velocity to be captured in corner
-const CORNER_CAPTURE_RADIUS_FACTOR = 0.5; // Multiplier for sticky radius to determine capture zone
-const REQUIRED_CORNERS = 4; // Number of corners needed to win
-const WALL_THICKNESS = 4; // Thickness of quadrant divider walls
+// Physics constants live in world.js; these cover input, timing and sound
+const GRAVITY = 0.5; // Default downward tilt when no sensor or key is pushing the balls
+const BOUNCE_THRESHOLD = 120; // Minimum bounce velocity to play sound, in pixels per second
+const PHYSICS_STEP = 1 / 120; // Fixed simulation timestep in seconds
+const MAX_FRAME_TIME = 0.25; // Longest frame simulated after a stall, so a lagging tab doesn't spiral
+const BOARD_SHORT_SIDE = 600; // Logical units across the board's shorter side; physics and levels are tuned to this
+const MAX_BOARD_ASPECT = 2; // Longest board side as a multiple of the shortest, so levels don't stretch too far
 
 // Sound effect constants
 const BOINK_START_FREQ = 400;
@@ -19,6 +13,15 @@ const BOINK_END_FREQ = 100;
 const BOINK_DURATION = 0.1;
 const BOINK_GAIN = 0.3;
 const BOINK_END_GAIN = 0.01;
+const BOINK_PITCH_MIN = 0.8; // Pitch multiplier for the softest audible bounce
+const BOINK_PITCH_MAX = 1.5; // Pitch multiplier for a full-speed bounce
+const BOINK_PITCH_FULL_SPEED = 900; // Bounce speed (pixels per second) that plays the highest boink
+
+const CLACK_FREQ = 1800;
+const CLACK_DURATION = 0.05;
+const CLACK_MAX_GAIN = 0.4;
+const CLACK_END_GAIN = 0.001;
+const CLACK_FULL_SPEED = 900; // Relative speed (pixels per second) that plays the clack at full volume
 
 const TADA_GAIN_1 = 0.2;
 const TADA_GAIN_2 = 0.3;
@@ -37,18 +40,56 @@ const WAHWAH_NOTE_2_END = 0.3;
 const WAHWAH_NOTE_3_START = 0.3;
 const WAHWAH_NOTE_3_END = 0.5;
 
+const ROLL_MIN_SPEED = 15; // Below this speed (pixels per second) a ball rolls silently
+const ROLL_FULL_SPEED = 600; // Speed at which the rolling sound is loudest and brightest
+const ROLL_MAX_GAIN = 0.12;
+const ROLL_MIN_FILTER = 200; // Low-pass cutoff in Hz for a slowly rolling ball
+const ROLL_MAX_FILTER = 1600; // Low-pass cutoff in Hz at full speed
+const ROLL_SMOOTHING = 0.03; // Time constant in seconds for rolling sound changes
+
+const GUIDANCE_MIN_FREQ = 220; // Guidance tone pitch in Hz with the ball far from its dent
+const GUIDANCE_MAX_FREQ = 880; // Pitch with the ball on top of the dent
+const GUIDANCE_FAR_DISTANCE = 600; // Distance (pixels) at and beyond which the tone is lowest
+const GUIDANCE_GAIN = 0.08;
+const GUIDANCE_SMOOTHING = 0.05; // Time constant in seconds for guidance tone changes
+
 // Game state
 let canvas, ctx;
-let balls = [];
-let gameRunning = false;
+let world = null; // Simulation for the current level (see world.js)
+let boardWidth = BOARD_SHORT_SIDE; // Logical size of the board the simulation runs on
+let boardHeight = BOARD_SHORT_SIDE;
+let canvasPixelRatio = 1; // Canvas backing pixels per CSS pixel
+let gameState = 'idle'; // 'idle', 'running', 'paused' or 'won' (see setGameState)
 let accelerationX = 0;
 let accelerationY = GRAVITY;
 let motionListenerActive = false;
-let motionActive = false; // Track if device motion is actually working
+let orientationListenerActive = false;
+let motionActive = false; // Track if a tilt sensor is actually driving the balls
 let keyboardActive = false;
-let stickySpots = [];
-let ballStates = []; // Track if balls are captured in corners
-let cornerCaptureCache = {}; // Cache for which corners have captured balls
+let pointerActive = false; // A touch drag or the mouse is steering (see pointer.js)
+let gamepadActive = false; // A controller stick is pushed past its dead zone (see gamepad.js)
+let gamepadMenuPolling = false; // Watching for start presses while no run is in progress
+let inputSource = 'none'; // Which input is driving the balls; its status label is the 'input.<source>' message (see i18n.js)
+let tiltFilter = null; // Smoothing filter for sensor tilt, rebuilt for each run
+let lastSensorSample = { motion: 0, orientation: 0 }; // performance.now() of each sensor's latest reading
+let availableLevels = [];
+let availableThemes = []; // Parsed themes, bundled plus any loaded from ?theme= (see themes.js)
+let currentTheme = null;
+let levelIndex = 0;
+let currentLevel = null;
+let lastFrameTime = null; // requestAnimationFrame timestamp of the previous frame
+let animationFrameId = null; // Pending gameLoop frame, so a restart never runs two loops
+let physicsAccumulator = 0; // Simulation time owed to the fixed-step loop, in seconds
+let recorder = null; // Records the live run's inputs (see replay.js)
+let lastRecording = null; // Most recent finished or loaded recording
+let replay = null; // Recording being played back on the board
+let ghostReplay = null; // Recording raced as a ghost alongside the live run
+let levelEditor = null; // Level being edited (see editor.js); null outside the editor
+let editorTesting = false; // The editor's level is being test played
+let runStats = { escapes: 0, bounces: 0 }; // Scoring for the live run; its time is world.time
+let runPreset = null; // Difficulty the live run started on; null once its physics were changed mid-run
+let restoredRunPending = false; // A run restored from storage that hasn't set up its sensors yet
+const SAVED_RUN_KEY = 'savedRun';
 let winFlashActive = false;
 let winFlashTimer = null;
 let winFlashIndex = 0;
@@ -56,108 +97,414 @@ let winFlashUntil = 0;
 const WIN_FLASH_COLORS = ['#ff5252', '#ffeb3b', '#69f0ae', '#40c4ff', '#b388ff'];
 
 // Audio context for sound effects
+let audioEngine = null; // Buses and samples (see audio.js)
 let audioContext;
 let boinkSound;
+let clackSound;
 let tadaSound;
 let wahwahSound;
 let winTuneSound;
+let rollingVoices = []; // One looping rolling sound per ball (see updateRollingSounds)
+let rollingNoiseBuffer = null;
+let guidanceVoice = null; // Audio guidance tone (see updateGuidanceTone)
 
 // Initialize the game
 function init() {
     canvas = document.getElementById('gameCanvas');
     ctx = canvas.getContext('2d');
     
+    // Pick the language before any text is shown
+    loadLocaleSettings();
+    applyLocale();
+    
     // Set canvas size
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
     
-    // Initialize balls in four quadrants
-    initBalls();
+    // Pick the look before anything is drawn
+    availableThemes = THEMES.map(parseTheme);
+    loadThemeSettings();
+    loadAccessibilitySettings();
+    applyTheme();
+    loadCustomTheme();
+    if (window.matchMedia) {
+        for (let query of ['(prefers-color-scheme: dark)', '(prefers-contrast: more)']) {
+            const mediaQuery = window.matchMedia(query);
+            if (mediaQuery.addEventListener) mediaQuery.addEventListener('change', applyTheme);
+        }
+    }
     
-    // Initialize sticky spots
-    initStickySpots();
+    // Difficulty decides the physics of every board, so it comes first
+    loadPhysicsSettings();
+    loadEffectsSettings();
+    initSettingsControls();
     
-    // Setup button
+    // Load bundled levels and lay out the first one
+    availableLevels = LEVELS.map(parseLevel);
+    populateLevelSelect();
+    loadLevel(availableLevels[levelIndex]);
+    loadCustomLevel();
+    
+    // Setup button and level picker
     const startBtn = document.getElementById('startBtn');
     startBtn.addEventListener('click', startGame);
+    attachPointerTilt(canvas, handlePointerTilt);
+    window.addEventListener('gamepadconnected', startGamepadMenuPolling);
+    document.getElementById('levelSelect').addEventListener('change', handleLevelChange);
+    
+    // Keyboard controls and the pause lifecycle; handlers check gameState
+    // themselves, so these are registered exactly once
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    document.getElementById('pauseBtn').addEventListener('click', pauseGame);
+    document.getElementById('resumeBtn').addEventListener('click', resumeGame);
+    document.getElementById('restartBtn').addEventListener('click', startGame);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+    window.addEventListener('blur', pauseGame);
+    window.addEventListener('pagehide', saveRun);
+    
+    // Setup replay controls
+    initReplayControls();
+    renderLeaderboard();
+    initEditorControls();
+    
+    // Setup tilt calibration and sensor filtering
+    loadTiltSettings();
+    loadInputSettings();
+    initCalibrationControls();
+    initHapticsControls();
     
     // Initialize audio
     initAudio();
     
+    // Carry on with a run from before the page was closed, if there is one
+    restoreSavedRun();
+    
+    // Work offline and offer new versions as they arrive
+    initUpdatePrompt();
+    
     // Draw initial state
     draw();
 }
 
-function initBalls() {
-    balls = [];
-    ballStates = [];
-    cornerCaptureCache = {};
-    const w = canvas.width;
-    const h = canvas.height;
-    
-    // Create balls, one in each quadrant
-    const quadrants = [
-        { x: w * 0.25, y: h * 0.25, quadrant: 0 }, // Top-left
-        { x: w * 0.75, y: h * 0.25, quadrant: 1 }, // Top-right
-        { x: w * 0.25, y: h * 0.75, quadrant: 2 }, // Bottom-left
-        { x: w * 0.75, y: h * 0.75, quadrant: 3 }  // Bottom-right
-    ];
-    
-    for (let i = 0; i < REQUIRED_CORNERS; i++) {
-        balls.push({
-            x: quadrants[i].x,
-            y: quadrants[i].y,
-            vx: 0,
-            vy: 0,
-            radius: BALL_RADIUS,
-            quadrant: quadrants[i].quadrant // Track which quadrant this ball belongs to
-        });
-        ballStates.push({ captured: false, cornerIndex: -1 });
+function populateLevelSelect() {
+    const levelSelect = document.getElementById('levelSelect');
+    levelSelect.innerHTML = '';
+    availableLevels.forEach((level, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${index + 1}. ${levelName(level)}`;
+        levelSelect.appendChild(option);
+    });
+    levelSelect.value = levelIndex;
+}
+
+// A level's name, or the catalog's stand-in for a level saved without one
+function levelName(level) {
+    return level.name || translate('level.untitled');
+}
+
+function handleLevelChange(event) {
+    if (isRunInProgress()) return;
+    
+    // A replay playing on the old board ends with it
+    if (replay) {
+        stopReplay();
+        setLocalizedText(document.getElementById('status'), 'status.tapStart');
+    }
+    levelIndex = Number(event.target.value);
+    setLocalizedText(document.getElementById('startBtn'), 'menu.start');
+    stopWinFlash();
+    loadLevel(availableLevels[levelIndex]);
+    renderLeaderboard();
+    draw();
+}
+
+// Switch to the chosen theme (or the system's light or dark one, or high
+// contrast when that's on) and redraw
+function applyTheme() {
+    currentTheme = isHighContrast()
+        ? availableThemes.find(theme => theme.id === HIGH_CONTRAST_THEME_ID)
+        : resolveTheme(availableThemes);
+    document.body.style.background = currentTheme.page;
+    canvas.style.background = currentTheme.board.color;
+    if (world && gameState !== 'running') draw();
+}
+
+function populateThemeSelect() {
+    const themeSelect = document.getElementById('themeSelect');
+    themeSelect.innerHTML = '';
+    const autoOption = document.createElement('option');
+    autoOption.value = 'auto';
+    setLocalizedText(autoOption, 'settings.themeAuto');
+    themeSelect.appendChild(autoOption);
+    for (let theme of availableThemes) {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.name;
+        themeSelect.appendChild(option);
+    }
+    themeSelect.value = themeSettings.theme;
+}
+
+// Show every string in the chosen language (or the browser's). Text set
+// with setLocalizedText redraws itself; the rest is rebuilt here.
+function applyLocale() {
+    resolveLocale();
+    document.documentElement.lang = currentLocale;
+    translateDocument(document);
+    populateLevelSelect();
+    updateMuteButton();
+    updateMotionStatus();
+    if (currentLevel) renderLeaderboard();
+}
+
+function populateLanguageSelect() {
+    const languageSelect = document.getElementById('languageSelect');
+    languageSelect.innerHTML = '';
+    const autoOption = document.createElement('option');
+    autoOption.value = 'auto';
+    setLocalizedText(autoOption, 'settings.languageAuto');
+    languageSelect.appendChild(autoOption);
+    // Each language is listed in its own words
+    for (let locale of Object.keys(MESSAGES)) {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.textContent = formatMessage(locale, 'languageName');
+        languageSelect.appendChild(option);
+    }
+    languageSelect.value = localeSettings.locale;
+}
+
+// Try out a theme from a JSON file: index.html?theme=my-theme.json
+async function loadCustomTheme() {
+    const themeUrl = new URLSearchParams(window.location.search).get('theme');
+    if (!themeUrl) return;
+    
+    try {
+        const theme = await fetchTheme(themeUrl);
+        // Its own id, so a copy of a bundled theme (or one called "auto") can still be picked
+        theme.id = `custom-${theme.id}`;
+        availableThemes.push(theme);
+        // Not saved: the file might not be there next time
+        themeSettings.theme = theme.id;
+        populateThemeSelect();
+        applyTheme();
+    } catch (error) {
+        console.error('Error loading custom theme:', error);
+        setLocalizedText(document.getElementById('status'), 'status.customThemeFailed');
     }
+}
+
+// Load a level given as ?level=<url of a JSON file>, or packed into a shared
+// editor link as ?levelData=..., and select it
+async function loadCustomLevel() {
+    const params = new URLSearchParams(window.location.search);
+    const levelUrl = params.get('level');
+    const levelData = params.get('levelData');
+    if (!levelUrl && !levelData) return;
     
-    // Initialize corner capture cache
-    for (let i = 0; i < REQUIRED_CORNERS; i++) {
-        cornerCaptureCache[i] = false;
+    try {
+        const level = levelData ? decodeLevel(levelData) : await fetchLevel(levelUrl);
+        levelIndex = addCustomLevel(level);
+        document.getElementById('levelSelect').value = levelIndex;
+        if (!isRunInProgress() && !levelEditor) {
+            loadLevel(level);
+            draw();
+        }
+    } catch (error) {
+        console.error('Error loading custom level:', error);
+        setLocalizedText(document.getElementById('status'), 'status.customLevelFailed');
     }
-    cornerCaptureCache[4] = false; // Center corner
 }
 
-function initStickySpots() {
-    stickySpots = [];
-    const w = canvas.width;
-    const h = canvas.height;
+// Add a level from outside the bundle to the list and return its index. A
+// copy of a bundled level gets an id of its own, so it never shares that
+// level's best times, ghost or saved runs.
+function addCustomLevel(level) {
+    if (LEVELS.some(bundled => bundled.id === level.id)) {
+        level.id = `custom-${level.id}`;
+    }
+    availableLevels.push(level);
+    populateLevelSelect();
+    return availableLevels.length - 1;
+}
+
+function loadLevel(level) {
+    currentLevel = level;
+    world = createWorld(level, boardWidth, boardHeight, {
+        seed: Math.floor(Math.random() * 4294967296),
+        physics: physicsSettings.values
+    });
     
-    // Center sticky spot (where quadrants meet)
-    stickySpots.push({ x: w / 2, y: h / 2, isCorner: true, isOuterCorner: false, index: 4 });
+    attachWorldSounds(world);
+    attachWorldEffects(world);
+    attachWorldAnnouncements(world);
+    world.on('win', () => handleWin());
     
-    // Four outside corner sticky spots
-    stickySpots.push({ x: 0, y: 0, isCorner: true, isOuterCorner: true, index: 0 }); // Top-left
-    stickySpots.push({ x: w, y: 0, isCorner: true, isOuterCorner: true, index: 1 }); // Top-right
-    stickySpots.push({ x: 0, y: h, isCorner: true, isOuterCorner: true, index: 2 }); // Bottom-left
-    stickySpots.push({ x: w, y: h, isCorner: true, isOuterCorner: true, index: 3 }); // Bottom-right
+    // Score the run: audible bounces and every escape count against you
+    runStats = { escapes: 0, bounces: 0 };
+    world.on('bounce', event => {
+        if (event.speed >= BOUNCE_THRESHOLD) {
+            runStats.bounces++;
+            rumbleGamepad(event.speed);
+            vibrateBounce(event.speed, BOUNCE_THRESHOLD);
+        }
+    });
+    world.on('escape', () => runStats.escapes++);
+    world.on('capture', () => vibrateCapture());
+    world.on('escape', () => vibrateEscape());
 }
 
+// The simulation reports what happened; the browser turns it into sound
+function attachWorldSounds(target) {
+    target.on('bounce', event => playBoink(event.speed, boardPan(event.x, target)));
+    target.on('collide', event => playClack(event.speed, boardPan(event.x, target)));
+    target.on('capture', event => playTada(boardPan(target.balls[event.ballIndex].x, target)));
+    target.on('escape', event => playWahwah(boardPan(target.balls[event.ballIndex].x, target)));
+}
+
+// Sparks and shake on hard wall hits, a glow on each capture
+function attachWorldEffects(target) {
+    resetEffects();
+    target.on('bounce', event => addImpactEffect(event.x, event.y, event.speed));
+    target.on('capture', event => {
+        const spot = target.stickySpots[event.dentIndex];
+        addCaptureGlow(spot.x, spot.y, spot.radius);
+    });
+}
+
+// Tell screen readers about captures and escapes; the win is announced by handleWin
+function attachWorldAnnouncements(target) {
+    target.on('capture', () => {
+        announce(translate('announce.capture', { filled: countFilledDents(target), required: currentLevel.required }));
+    });
+    target.on('escape', () => {
+        announce(translate('announce.escape', { filled: countFilledDents(target), required: currentLevel.required }));
+    });
+}
+
+// Stereo position for a point on the board: -1 at the left edge, 1 at the right
+function boardPan(x, target) {
+    return Math.max(-1, Math.min(1, x / target.width * 2 - 1));
+}
+
+// Fill the space around the controls with the board. The simulation always
+// runs in logical units (BOARD_SHORT_SIDE across the shorter side, whatever
+// the screen), and the canvas backing store matches the screen's real pixels.
 function resizeCanvas() {
-    const maxWidth = window.innerWidth - 40;
-    const maxHeight = window.innerHeight - 120;
-    const size = Math.min(maxWidth, maxHeight, 600);
+    const maxWidth = Math.max(window.innerWidth - 40, 100);
+    const maxHeight = Math.max(window.innerHeight - 120, 100);
+    const aspect = Math.max(1 / MAX_BOARD_ASPECT, Math.min(MAX_BOARD_ASPECT, maxHeight / maxWidth));
+    
+    const cssWidth = Math.floor(Math.min(maxWidth, maxHeight / aspect));
+    const cssHeight = Math.floor(cssWidth * aspect);
+    canvasPixelRatio = window.devicePixelRatio || 1;
+    canvas.style.width = `${cssWidth}px`;
+    canvas.style.height = `${cssHeight}px`;
+    // Size the backing store to the area inside the border
+    canvas.width = Math.round((canvas.clientWidth || cssWidth) * canvasPixelRatio);
+    canvas.height = Math.round((canvas.clientHeight || cssHeight) * canvasPixelRatio);
+    
+    const newWidth = aspect >= 1 ? BOARD_SHORT_SIDE : Math.round(BOARD_SHORT_SIDE / aspect);
+    const newHeight = aspect >= 1 ? Math.round(BOARD_SHORT_SIDE * aspect) : BOARD_SHORT_SIDE;
+    const boardChanged = newWidth !== boardWidth || newHeight !== boardHeight;
+    boardWidth = newWidth;
+    boardHeight = newHeight;
+    
+    if (!currentLevel) return;
+    
+    if (levelEditor && !editorTesting) {
+        refreshEditor();
+        return;
+    }
+    
+    // A change of shape rebuilds the board, carrying a run's balls over in proportion
+    if (boardChanged && !replay) {
+        if (isRunInProgress()) {
+            restoreBoard(currentLevel, snapshotRun());
+        } else {
+            loadLevel(currentLevel);
+        }
+    }
+    if (gameState !== 'running') draw();
+}
+
+// Everything needed to carry on with the current run later
+function snapshotRun() {
+    return {
+        level: currentLevel,
+        physics: Object.assign({}, world.physics),
+        runPreset,
+        runStats: Object.assign({}, runStats),
+        world: world.saveState()
+    };
+}
+
+// Lay out a fresh board for the level and put a snapshot's run back onto it
+function restoreBoard(level, snapshot) {
+    loadLevel(level);
+    Object.assign(world.physics, snapshot.physics);
+    world.restoreState(snapshot.world);
+    runStats = Object.assign({}, snapshot.runStats);
+    runPreset = snapshot.runPreset;
     
-    canvas.width = size;
-    canvas.height = size;
+    // A recording has to start from a fresh board, so this run can't be replayed
+    recorder = null;
+}
+
+function saveRun() {
+    // Test plays belong to the editor and aren't picked up after a reload
+    if (!isRunInProgress() || editorTesting) return;
+    writeStorage(SAVED_RUN_KEY, snapshotRun());
+}
+
+function clearSavedRun() {
+    removeStorage(SAVED_RUN_KEY);
+}
+
+// Pick up a run saved when the page was hidden or closed. It comes back
+// paused; resuming sets up sensors and input like starting a new run.
+function restoreSavedRun() {
+    const saved = readStorage(SAVED_RUN_KEY, null);
+    if (!saved) return;
     
-    // Reinitialize balls and sticky spots on resize
-    if (balls.length > 0) {
-        initBalls();
-        initStickySpots();
+    try {
+        const level = parseLevel(saved.level);
+        // Only the very same layout will do, whatever the id says
+        let index = availableLevels.findIndex(candidate =>
+            candidate.id === level.id && JSON.stringify(candidate) === JSON.stringify(level));
+        if (index === -1) {
+            index = addCustomLevel(level);
+        }
+        levelIndex = index;
+        document.getElementById('levelSelect').value = levelIndex;
+        
+        restoreBoard(availableLevels[levelIndex], saved);
+        restoredRunPending = true;
+        setGameState('paused');
+        setMenuVisible(false);
+        updateRunStats();
+        setLocalizedText(document.getElementById('status'), 'status.resumeSaved', { level: levelName(currentLevel) });
+    } catch (error) {
+        console.warn('Discarding saved run:', error);
+        clearSavedRun();
+        loadLevel(availableLevels[levelIndex]);
     }
 }
 
 function initAudio() {
     // Note: AudioContext is created here but will be resumed in startGame
     // after user interaction to comply with browser autoplay policies
+    loadAudioSettings();
+    initAudioControls();
     try {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        audioEngine = createAudioEngine();
+        audioContext = audioEngine.context;
         createBoinkSound();
+        createClackSound();
         createTadaSound();
         createWahwahSound();
         createWinTuneSound();
@@ -166,9 +513,183 @@ function initAudio() {
     }
 }
 
+// Difficulty presets and the advanced physics sliders. Changes apply to the
+// board straight away, even mid-run.
+function initSettingsControls() {
+    const panel = document.getElementById('settingsPanel');
+    const difficultySelect = document.getElementById('difficultySelect');
+    const advancedToggle = document.getElementById('advancedToggle');
+    const advancedSettings = document.getElementById('advancedSettings');
+    const sliders = {};
+    
+    for (let key of Object.keys(PHYSICS_SETTING_RANGES)) {
+        const range = PHYSICS_SETTING_RANGES[key];
+        const label = document.createElement('label');
+        const slider = document.createElement('input');
+        const output = document.createElement('output');
+        slider.type = 'range';
+        slider.id = `${key}Slider`;
+        slider.min = range.min;
+        slider.max = range.max;
+        slider.step = range.step;
+        const labelText = document.createElement('span');
+        label.htmlFor = slider.id;
+        setLocalizedText(labelText, `physics.${key}`);
+        label.appendChild(labelText);
+        label.appendChild(document.createTextNode(' '));
+        label.appendChild(output);
+        advancedSettings.appendChild(label);
+        advancedSettings.appendChild(slider);
+        
+        slider.addEventListener('input', () => {
+            setPhysicsValue(key, Number(slider.value));
+            applyPhysicsSettings();
+            showSettings();
+        });
+        sliders[key] = { slider, output };
+    }
+    
+    const showSettings = () => {
+        difficultySelect.value = physicsSettings.preset;
+        for (let key of Object.keys(sliders)) {
+            sliders[key].slider.value = physicsSettings.values[key];
+            sliders[key].output.textContent = physicsSettings.values[key];
+        }
+    };
+    showSettings();
+    // Links with tuned values open straight onto the sliders
+    advancedToggle.checked = physicsSettings.preset === 'custom';
+    advancedSettings.hidden = !advancedToggle.checked;
+    
+    difficultySelect.addEventListener('change', () => {
+        setPhysicsPreset(difficultySelect.value);
+        applyPhysicsSettings();
+        showSettings();
+    });
+    const languageSelect = document.getElementById('languageSelect');
+    populateLanguageSelect();
+    languageSelect.addEventListener('change', () => {
+        setLocaleChoice(languageSelect.value);
+        applyLocale();
+    });
+    
+    const themeSelect = document.getElementById('themeSelect');
+    populateThemeSelect();
+    themeSelect.addEventListener('change', () => {
+        setThemeChoice(themeSelect.value);
+        applyTheme();
+    });
+    
+    const reducedMotionToggle = document.getElementById('reducedMotionToggle');
+    reducedMotionToggle.checked = isReducedMotion();
+    reducedMotionToggle.addEventListener('change', () => setReducedMotion(reducedMotionToggle.checked));
+    
+    const highContrastToggle = document.getElementById('highContrastToggle');
+    highContrastToggle.checked = isHighContrast();
+    highContrastToggle.addEventListener('change', () => {
+        setAccessibilitySetting('highContrast', highContrastToggle.checked);
+        applyTheme();
+    });
+    const largeBallsToggle = document.getElementById('largeBallsToggle');
+    largeBallsToggle.checked = accessibilitySettings.largeBalls;
+    largeBallsToggle.addEventListener('change', () => {
+        setAccessibilitySetting('largeBalls', largeBallsToggle.checked);
+        if (world && gameState !== 'running') draw();
+    });
+    const audioGuidanceToggle = document.getElementById('audioGuidanceToggle');
+    audioGuidanceToggle.checked = accessibilitySettings.audioGuidance;
+    audioGuidanceToggle.addEventListener('change', () => {
+        setAccessibilitySetting('audioGuidance', audioGuidanceToggle.checked);
+        if (!audioGuidanceToggle.checked) stopGuidanceTone();
+    });
+    
+    advancedToggle.addEventListener('change', () => {
+        advancedSettings.hidden = !advancedToggle.checked;
+    });
+    
+    document.getElementById('settingsBtn').addEventListener('click', () => {
+        const message = document.getElementById('settingsMessage');
+        delete message.dataset.i18n;
+        message.textContent = '';
+        panel.hidden = false;
+    });
+    document.getElementById('closeSettingsBtn').addEventListener('click', () => {
+        panel.hidden = true;
+    });
+    document.getElementById('shareSettingsBtn').addEventListener('click', async () => {
+        const message = document.getElementById('settingsMessage');
+        const url = getPhysicsShareUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            setLocalizedText(message, 'settings.linkCopied');
+        } catch (error) {
+            // Clipboard access can be refused; show the link so it can be copied by hand
+            delete message.dataset.i18n;
+            message.textContent = url;
+        }
+    });
+}
+
+// Push the current physics settings into the live board
+function applyPhysicsSettings() {
+    if (world && !replay) {
+        Object.assign(world.physics, physicsSettings.values);
+    }
+    
+    // The run no longer matches its recording or any difficulty's best times
+    if (isRunInProgress()) {
+        recorder = null;
+        runPreset = null;
+    } else if (currentLevel) {
+        renderLeaderboard();
+    }
+}
+
+// Mute button (always on screen) and the volume sliders in the sound panel
+function initAudioControls() {
+    const muteBtn = document.getElementById('muteBtn');
+    muteBtn.addEventListener('click', () => {
+        audioSettings.muted = !audioSettings.muted;
+        saveAudioSettings();
+        if (audioEngine) audioEngine.applySettings();
+        updateMuteButton();
+    });
+    updateMuteButton();
+    
+    const sliders = {
+        masterVolumeSlider: 'masterVolume',
+        sfxVolumeSlider: 'sfxVolume',
+        musicVolumeSlider: 'musicVolume'
+    };
+    for (let id of Object.keys(sliders)) {
+        const slider = document.getElementById(id);
+        const setting = sliders[id];
+        slider.value = audioSettings[setting];
+        slider.addEventListener('input', () => {
+            audioSettings[setting] = Number(slider.value);
+            saveAudioSettings();
+            if (audioEngine) audioEngine.applySettings();
+        });
+    }
+    
+    document.getElementById('soundBtn').addEventListener('click', () => {
+        document.getElementById('soundPanel').hidden = false;
+    });
+    document.getElementById('closeSoundBtn').addEventListener('click', () => {
+        document.getElementById('soundPanel').hidden = true;
+    });
+}
+
+function updateMuteButton() {
+    const muteBtn = document.getElementById('muteBtn');
+    muteBtn.textContent = audioSettings.muted ? '🔇' : '🔊';
+    muteBtn.setAttribute('aria-pressed', String(audioSettings.muted));
+    muteBtn.setAttribute('aria-label', translate(audioSettings.muted ? 'sound.unmute' : 'sound.mute'));
+}
+
 function createBoinkSound() {
     // Create a simple "boink" sound using oscillators
-    boinkSound = function(velocity) {
+    boinkSound = function(velocity, pan = 0) {
         if (!audioContext) return;
         
         // Calculate bounce height from velocity
@@ -177,15 +698,20 @@ function createBoinkSound() {
         // Only play sound if bounce is above threshold
         if (bounceHeight < BOUNCE_THRESHOLD) return;
         
+        // Faster hits ring higher
+        const speedFraction = Math.min((bounceHeight - BOUNCE_THRESHOLD) / (BOINK_PITCH_FULL_SPEED - BOUNCE_THRESHOLD), 1);
+        const pitch = BOINK_PITCH_MIN + speedFraction * (BOINK_PITCH_MAX - BOINK_PITCH_MIN);
+        if (audioEngine.playSample('boink', audioEngine.sfx, { rate: pitch, pan })) return;
+        
         const oscillator = audioContext.createOscillator();
         const gainNode = audioContext.createGain();
         
         oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(audioEngine.createPanner(pan));
         
         // Boink sound: quick descending tone
-        oscillator.frequency.setValueAtTime(BOINK_START_FREQ, audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(BOINK_END_FREQ, audioContext.currentTime + BOINK_DURATION);
+        oscillator.frequency.setValueAtTime(BOINK_START_FREQ * pitch, audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(BOINK_END_FREQ * pitch, audioContext.currentTime + BOINK_DURATION);
         
         gainNode.gain.setValueAtTime(BOINK_GAIN, audioContext.currentTime);
         gainNode.gain.exponentialRampToValueAtTime(BOINK_END_GAIN, audioContext.currentTime + BOINK_DURATION);
@@ -195,10 +721,41 @@ function createBoinkSound() {
     };
 }
 
+function createClackSound() {
+    // Create a short metallic "clack" for balls hitting each other
+    clackSound = function(relativeSpeed, pan = 0) {
+        if (!audioContext) return;
+        
+        // Only play sound if impact is above threshold
+        if (relativeSpeed < BOUNCE_THRESHOLD) return;
+        
+        // Louder for harder hits
+        const gain = CLACK_MAX_GAIN * Math.min(1, relativeSpeed / CLACK_FULL_SPEED);
+        if (audioEngine.playSample('clack', audioEngine.sfx, { gain: gain / CLACK_MAX_GAIN, pan })) return;
+        
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        
+        oscillator.type = 'square';
+        oscillator.connect(gainNode);
+        gainNode.connect(audioEngine.createPanner(pan));
+        
+        oscillator.frequency.setValueAtTime(CLACK_FREQ, audioContext.currentTime);
+        gainNode.gain.setValueAtTime(gain, audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(CLACK_END_GAIN, audioContext.currentTime + CLACK_DURATION);
+        
+        oscillator.start(audioContext.currentTime);
+        oscillator.stop(audioContext.currentTime + CLACK_DURATION);
+    };
+}
+
 function createTadaSound() {
     // Create a celebratory "ta-da" sound
-    tadaSound = function() {
+    tadaSound = function(pan = 0) {
         if (!audioContext) return;
+        if (audioEngine.playSample('tada', audioEngine.sfx, { pan })) return;
+        
+        const output = audioEngine.createPanner(pan);
         
         const now = audioContext.currentTime;
         
@@ -209,7 +766,7 @@ function createTadaSound() {
         
         osc1a.connect(gain1);
         osc1b.connect(gain1);
-        gain1.connect(audioContext.destination);
+        gain1.connect(output);
         
         osc1a.frequency.setValueAtTime(523, now + TADA_CHORD_1_START); // C
         osc1b.frequency.setValueAtTime(659, now + TADA_CHORD_1_START); // E
@@ -229,7 +786,7 @@ function createTadaSound() {
         
         osc2a.connect(gain2);
         osc2b.connect(gain2);
-        gain2.connect(audioContext.destination);
+        gain2.connect(output);
         
         osc2a.frequency.setValueAtTime(659, now + TADA_CHORD_2_START); // E
         osc2b.frequency.setValueAtTime(784, now + TADA_CHORD_2_START); // G
@@ -246,8 +803,11 @@ function createTadaSound() {
 
 function createWahwahSound() {
     // Create a sad "wah-wah" sound
-    wahwahSound = function() {
+    wahwahSound = function(pan = 0) {
         if (!audioContext) return;
+        if (audioEngine.playSample('wahwah', audioEngine.sfx, { pan })) return;
+        
+        const output = audioEngine.createPanner(pan);
         
         const now = audioContext.currentTime;
         
@@ -256,7 +816,7 @@ function createWahwahSound() {
         const gain1 = audioContext.createGain();
         
         osc1.connect(gain1);
-        gain1.connect(audioContext.destination);
+        gain1.connect(output);
         
         osc1.frequency.setValueAtTime(440, now + WAHWAH_NOTE_1_START); // A
         
@@ -271,7 +831,7 @@ function createWahwahSound() {
         const gain2 = audioContext.createGain();
         
         osc2.connect(gain2);
-        gain2.connect(audioContext.destination);
+        gain2.connect(output);
         
         osc2.frequency.setValueAtTime(415, now + WAHWAH_NOTE_2_START); // G#
         
@@ -286,7 +846,7 @@ function createWahwahSound() {
         const gain3 = audioContext.createGain();
         
         osc3.connect(gain3);
-        gain3.connect(audioContext.destination);
+        gain3.connect(output);
         
         osc3.frequency.setValueAtTime(392, now + WAHWAH_NOTE_3_START); // G
         
@@ -298,31 +858,38 @@ function createWahwahSound() {
     };
 }
 
-function playBoink(velocity) {
+function playBoink(velocity, pan = 0) {
     if (boinkSound) {
-        boinkSound(velocity);
+        boinkSound(velocity, pan);
+    }
+}
+
+function playClack(relativeSpeed, pan = 0) {
+    if (clackSound) {
+        clackSound(relativeSpeed, pan);
     }
 }
 
-function playTada() {
+function playTada(pan = 0) {
     if (tadaSound) {
-        tadaSound();
+        tadaSound(pan);
     }
 }
 
-function playWahwah() {
+function playWahwah(pan = 0) {
     if (wahwahSound) {
-        wahwahSound();
+        wahwahSound(pan);
     }
 }
 
 function createWinTuneSound() {
     winTuneSound = function() {
         if (!audioContext) return;
+        if (audioEngine.playSample('winTune', audioEngine.music)) return;
 
         const now = audioContext.currentTime;
         const gainNode = audioContext.createGain();
-        gainNode.connect(audioContext.destination);
+        gainNode.connect(audioEngine.music);
         gainNode.gain.setValueAtTime(0.25, now);
         gainNode.gain.exponentialRampToValueAtTime(0.001, now + 1.2);
 
@@ -341,104 +908,576 @@ function createWinTuneSound() {
     };
 }
 
+// Looping filtered noise for one ball, silent until updateRollingSounds turns it up
+function createRollingVoice() {
+    if (!rollingNoiseBuffer) {
+        const length = audioContext.sampleRate * 2;
+        rollingNoiseBuffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = rollingNoiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+    
+    const source = audioContext.createBufferSource();
+    const filter = audioContext.createBiquadFilter();
+    const gainNode = audioContext.createGain();
+    const panner = audioEngine.createPanner(0);
+    
+    source.buffer = rollingNoiseBuffer;
+    source.loop = true;
+    filter.type = 'lowpass';
+    filter.frequency.value = ROLL_MIN_FILTER;
+    gainNode.gain.value = 0;
+    
+    source.connect(filter);
+    filter.connect(gainNode);
+    gainNode.connect(panner);
+    source.start();
+    
+    return { source, filter, gainNode, panner };
+}
+
+// Called every frame: each ball's rolling sound follows its speed and position
+function updateRollingSounds(target) {
+    if (!audioEngine) return;
+    
+    if (rollingVoices.length !== target.balls.length) {
+        stopRollingSounds();
+        rollingVoices = target.balls.map(() => createRollingVoice());
+    }
+    
+    const now = audioContext.currentTime;
+    target.balls.forEach((ball, index) => {
+        const voice = rollingVoices[index];
+        const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+        const level = speed < ROLL_MIN_SPEED ? 0 : Math.min(speed / ROLL_FULL_SPEED, 1);
+        
+        voice.gainNode.gain.setTargetAtTime(level * ROLL_MAX_GAIN, now, ROLL_SMOOTHING);
+        voice.filter.frequency.setTargetAtTime(ROLL_MIN_FILTER + level * (ROLL_MAX_FILTER - ROLL_MIN_FILTER), now, ROLL_SMOOTHING);
+        if (voice.panner.pan) {
+            voice.panner.pan.setTargetAtTime(boardPan(ball.x, target), now, ROLL_SMOOTHING);
+        }
+    });
+}
+
+// Called every frame of a live run with audio guidance on: the tone rises as
+// the nearest free ball gets closer to a free target dent, and sits on the
+// side of the dent
+function updateGuidanceTone(target) {
+    if (!audioEngine || !accessibilitySettings.audioGuidance) return;
+    
+    if (!guidanceVoice) {
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        const panner = audioEngine.createPanner(0);
+        oscillator.type = 'sine';
+        oscillator.frequency.value = GUIDANCE_MIN_FREQ;
+        gainNode.gain.value = 0;
+        oscillator.connect(gainNode);
+        gainNode.connect(panner);
+        oscillator.start();
+        guidanceVoice = { oscillator, gainNode, panner };
+    }
+    
+    const now = audioContext.currentTime;
+    const guidance = findGuidanceTarget(target);
+    if (!guidance) {
+        guidanceVoice.gainNode.gain.setTargetAtTime(0, now, GUIDANCE_SMOOTHING);
+        return;
+    }
+    
+    const closeness = 1 - Math.min(guidance.distance / GUIDANCE_FAR_DISTANCE, 1);
+    const pan = Math.max(-1, Math.min(1, guidance.dx / (GUIDANCE_FAR_DISTANCE / 2)));
+    guidanceVoice.gainNode.gain.setTargetAtTime(GUIDANCE_GAIN, now, GUIDANCE_SMOOTHING);
+    guidanceVoice.oscillator.frequency.setTargetAtTime(
+        GUIDANCE_MIN_FREQ + closeness * (GUIDANCE_MAX_FREQ - GUIDANCE_MIN_FREQ), now, GUIDANCE_SMOOTHING);
+    if (guidanceVoice.panner.pan) {
+        guidanceVoice.panner.pan.setTargetAtTime(pan, now, GUIDANCE_SMOOTHING);
+    }
+}
+
+function stopGuidanceTone() {
+    if (!guidanceVoice) return;
+    guidanceVoice.oscillator.stop();
+    guidanceVoice.gainNode.disconnect();
+    guidanceVoice = null;
+}
+
+function stopRollingSounds() {
+    for (let voice of rollingVoices) {
+        voice.source.stop();
+        voice.gainNode.disconnect();
+    }
+    rollingVoices = [];
+}
+
 function playWinTune() {
     if (winTuneSound) {
         winTuneSound();
     }
 }
 
-async function startGame() {
-    const status = document.getElementById('status');
-    const startBtn = document.getElementById('startBtn');
+// Lifecycle: idle -> running <-> paused, running -> won, and any state back to
+// running when a new run starts
+function setGameState(state) {
+    gameState = state;
+    document.getElementById('pauseBtn').hidden = state !== 'running';
+    document.getElementById('pauseOverlay').hidden = state !== 'paused';
+}
+
+function isRunInProgress() {
+    return gameState === 'running' || gameState === 'paused';
+}
+
+// Freeze the run: no physics, no input and no sound until resumeGame()
+function pauseGame() {
+    if (gameState !== 'running') return;
     
-    // Reset game state
-    initBalls();
-    gameRunning = false;
-    stopWinFlash();
+    setGameState('paused');
+    saveRun();
+    releaseScreenHold();
+    if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+    // Keys, fingers and sticks held now will have been let go by the time the run resumes
+    pointerActive = false;
+    gamepadActive = false;
+    if (!motionActive) {
+        accelerationX = 0;
+        accelerationY = GRAVITY;
+    }
+    if (audioContext && audioContext.state === 'running') {
+        audioContext.suspend();
+    }
     
-    // Request device motion permission (required for iOS 13+)
-    if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
-        try {
-            const permission = await DeviceMotionEvent.requestPermission();
-            if (permission !== 'granted') {
-                status.textContent = 'Motion permission denied';
-                return;
-            }
-        } catch (error) {
-            console.error('Error requesting motion permission:', error);
-            status.textContent = 'Error requesting motion permission';
+    const status = document.getElementById('status');
+    setLocalizedText(status, 'status.paused');
+    status.style.color = '#666';
+}
+
+async function resumeGame() {
+    if (gameState !== 'paused') return;
+    
+    // A run restored from storage still needs its sensors and screen set up
+    if (restoredRunPending) {
+        restoredRunPending = false;
+        if (!(await enterRun())) {
+            restoredRunPending = true;
             return;
         }
+        updateRunStats();
+        startGameLoop();
+        return;
+    }
+    
+    setGameState('running');
+    holdScreenForPlay();
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    
+    // Give the sensor a moment to report again before calling it stalled
+    if (inputSource === 'motion' || inputSource === 'orientation') {
+        lastSensorSample[inputSource] = performance.now();
+    }
+    updateMotionStatus();
+    startGameLoop();
+}
+
+function togglePause() {
+    if (gameState === 'running') {
+        pauseGame();
+    } else if (gameState === 'paused') {
+        resumeGame();
+    }
+}
+
+async function startGame() {
+    // Restarting (or a gamepad start press) inside the editor test plays its level
+    if (levelEditor) {
+        startTestPlay();
+        return;
     }
     
+    // Reset game state
+    stopReplay();
+    loadLevel(availableLevels[levelIndex]);
+    setGameState('idle');
+    restoredRunPending = false;
+    clearSavedRun();
+    stopWinFlash();
+    
+    if (!(await enterRun())) return;
+    
+    runPreset = physicsSettings.preset;
+    startRecording();
+    startGhost();
+    updateRunStats();
+    
+    // Start game loop
+    startGameLoop();
+}
+
+// Set up everything a run needs around its board: motion permission, sensor
+// listeners, fullscreen, the in-game screen and the running state. Returns
+// false if motion permission was refused.
+async function enterRun() {
+    const status = document.getElementById('status');
+    
+    if (!(await requestMotionPermission())) return false;
+    
     // Resume audio context (required by some browsers)
     if (audioContext && audioContext.state === 'suspended') {
         await audioContext.resume();
     }
     
-    // Start listening to device motion
+    // Going fullscreen reshapes the board, so lay it out again before the run
+    // (and its recording) starts. This comes after the motion permission
+    // because asking for fullscreen uses up the tap that allowed it.
+    await enterFullscreen();
+    resizeCanvas();
+    
+    // Start listening to device motion, with device orientation as a fallback
     if (!motionListenerActive) {
         window.addEventListener('devicemotion', handleMotion);
         motionListenerActive = true;
     }
+    if (!orientationListenerActive) {
+        window.addEventListener('deviceorientation', handleOrientation);
+        orientationListenerActive = true;
+    }
+    tiltFilter = createTiltFilter();
+    lastSensorSample = { motion: 0, orientation: 0 };
+    motionActive = false;
+    pointerActive = false;
+    gamepadActive = false;
+    setInputSource('none');
     
-    // Add keyboard controls for testing
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
-    
-    gameRunning = true;
-    startBtn.style.display = 'none';
-    status.textContent = 'Tilt to move balls into all 4 corners! (or use arrow keys)';
+    setGameState('running');
+    holdScreenForPlay();
+    setMenuVisible(false);
+    updateMotionStatus();
     status.style.fontSize = '14px';
     status.style.fontWeight = 'normal';
-    status.style.color = '#666';
+    return true;
+}
+
+// Show or hide the start screen controls around the board
+function setMenuVisible(visible) {
+    const display = visible ? '' : 'none';
+    for (let id of ['levelSelect', 'replayControls', 'leaderboardPanel', 'calibrateBtn', 'soundBtn', 'editBtn']) {
+        document.getElementById(id).style.display = display;
+    }
+    document.getElementById('startBtn').style.display = visible ? 'block' : 'none';
+    document.getElementById('hapticsOption').style.display = visible && isHapticsSupported() ? '' : 'none';
+    if (!visible) {
+        document.getElementById('calibrationPanel').hidden = true;
+        document.getElementById('soundPanel').hidden = true;
+    }
+}
+
+// Request device motion permission (required for iOS 13+). Returns false and
+// explains why in the status line if motion can't be used.
+async function requestMotionPermission() {
+    if (typeof DeviceMotionEvent === 'undefined' || typeof DeviceMotionEvent.requestPermission !== 'function') {
+        return true;
+    }
     
-    // Start game loop
-    gameLoop();
+    const status = document.getElementById('status');
+    try {
+        const permission = await DeviceMotionEvent.requestPermission();
+        if (permission !== 'granted') {
+            setLocalizedText(status, 'status.motionDenied');
+            return false;
+        }
+    } catch (error) {
+        console.error('Error requesting motion permission:', error);
+        setLocalizedText(status, 'status.motionError');
+        return false;
+    }
+    
+    // The orientation fallback has its own permission; the game still works without it
+    if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+        try {
+            await DeviceOrientationEvent.requestPermission();
+        } catch (error) {
+            console.warn('Error requesting orientation permission:', error);
+        }
+    }
+    return true;
+}
+
+function initCalibrationControls() {
+    const slider = document.getElementById('sensitivitySlider');
+    slider.min = MIN_SENSITIVITY;
+    slider.max = MAX_SENSITIVITY;
+    slider.value = tiltSettings.sensitivity;
+    slider.addEventListener('input', () => setSensitivity(Number(slider.value)));
+    
+    const filterSelect = document.getElementById('filterSelect');
+    filterSelect.value = inputSettings.filter;
+    filterSelect.addEventListener('change', () => {
+        inputSettings.filter = filterSelect.value;
+        saveInputSettings();
+    });
+    
+    const deadZoneSlider = document.getElementById('deadZoneSlider');
+    deadZoneSlider.value = inputSettings.deadZone;
+    deadZoneSlider.addEventListener('input', () => {
+        inputSettings.deadZone = Number(deadZoneSlider.value);
+        saveInputSettings();
+    });
+    
+    const pointerModeSelect = document.getElementById('pointerModeSelect');
+    pointerModeSelect.value = inputSettings.pointerMode;
+    pointerModeSelect.addEventListener('change', () => {
+        inputSettings.pointerMode = pointerModeSelect.value;
+        saveInputSettings();
+    });
+    
+    document.getElementById('calibrateBtn').addEventListener('click', () => {
+        document.getElementById('calibrationPanel').hidden = false;
+    });
+    document.getElementById('recordNeutralBtn').addEventListener('click', recordNeutralTilt);
+    document.getElementById('resetCalibrationBtn').addEventListener('click', () => {
+        resetCalibration();
+        setLocalizedText(document.getElementById('calibrationMessage'), 'calibration.resetDone');
+    });
+    document.getElementById('closeCalibrationBtn').addEventListener('click', () => {
+        document.getElementById('calibrationPanel').hidden = true;
+    });
+}
+
+// "Update available" prompt for when a new version has been downloaded. The
+// run in progress is paused and saved first, so reloading picks it up again.
+function initUpdatePrompt() {
+    const prompt = document.getElementById('updatePrompt');
+    let waitingWorker = null;
+    
+    registerServiceWorker(worker => {
+        waitingWorker = worker;
+        prompt.hidden = false;
+    });
+    document.getElementById('updateReloadBtn').addEventListener('click', () => {
+        pauseGame();
+        applyUpdate(waitingWorker);
+    });
+    document.getElementById('updateLaterBtn').addEventListener('click', () => {
+        prompt.hidden = true;
+    });
+}
+
+// Vibration toggle; hidden on devices that can't vibrate
+function initHapticsControls() {
+    loadHapticsSetting();
+    
+    const option = document.getElementById('hapticsOption');
+    const toggle = document.getElementById('hapticsToggle');
+    option.style.display = isHapticsSupported() ? '' : 'none';
+    toggle.checked = hapticsEnabled;
+    toggle.addEventListener('change', () => setHapticsEnabled(toggle.checked));
+}
+
+async function recordNeutralTilt() {
+    const message = document.getElementById('calibrationMessage');
+    const recordBtn = document.getElementById('recordNeutralBtn');
+    
+    if (!(await requestMotionPermission())) {
+        setLocalizedText(message, 'calibration.needsMotion');
+        return;
+    }
+    
+    recordBtn.disabled = true;
+    setLocalizedText(message, 'calibration.holdStill');
+    try {
+        await calibrateNeutral();
+        setLocalizedText(message, 'calibration.recorded');
+    } catch (error) {
+        console.warn('Calibration failed:', error);
+        setLocalizedText(message, 'calibration.noSensor');
+    } finally {
+        recordBtn.disabled = false;
+    }
 }
 
 function handleMotion(event) {
-    if (!gameRunning) return;
+    if (gameState !== 'running') return;
     
     // Get acceleration data
-    const accel = event.accelerationIncludingGravity;
-    
-    if (accel && accel.x !== null && accel.y !== null) {
-        motionActive = true;
-        
-        // Map device orientation to canvas coordinates
-        // Different devices/browsers may have different orientations
-        // These values are calibrated for typical portrait orientation
-        // Note: X-axis is negated to match expected left/right tilt behavior
-        accelerationX = -accel.x * ACCELERATION_MULTIPLIER;
-        accelerationY = accel.y * ACCELERATION_MULTIPLIER;
-        
-        // Debug output
-        if (Math.random() < 0.01) { // Log only 1% of the time to avoid spam
-            console.log(`Motion: x=${accel.x.toFixed(2)}, y=${accel.y.toFixed(2)}, z=${accel.z ? accel.z.toFixed(2) : 'N/A'}`);
-            console.log(`Applied: accX=${accelerationX.toFixed(2)}, accY=${accelerationY.toFixed(2)}`);
+    const reading = readMotionEvent(event);
+    if (!reading) return;
+    
+    lastSensorSample.motion = performance.now();
+    applySensorReading('motion', reading);
+    
+    // Debug output
+    if (Math.random() < 0.01) { // Log only 1% of the time to avoid spam
+        console.log(`Motion: x=${reading.x.toFixed(2)}, y=${reading.y.toFixed(2)}`);
+        console.log(`Applied: accX=${accelerationX.toFixed(2)}, accY=${accelerationY.toFixed(2)}`);
+    }
+}
+
+function handleOrientation(event) {
+    if (gameState !== 'running') return;
+    
+    const reading = readOrientationEvent(event);
+    if (!reading) return;
+    
+    lastSensorSample.orientation = performance.now();
+    
+    // Device motion is more precise, so orientation only steps in while motion is silent
+    if (performance.now() - lastSensorSample.motion < SENSOR_STALL_TIMEOUT) return;
+    applySensorReading('orientation', reading);
+}
+
+function applySensorReading(source, reading) {
+    // Map device axes to canvas coordinates using the calibrated resting
+    // tilt and the current screen orientation, then smooth out sensor noise
+    // A finger, mouse or controller stick takes over from the sensor while it's held
+    if (pointerActive || gamepadActive) return;
+    
+    const tilt = applyDeadZone(
+        tiltFilter(mapDeviceTilt(reading.x, reading.y), performance.now()),
+        inputSettings.deadZone
+    );
+    accelerationX = tilt.x;
+    accelerationY = tilt.y;
+    motionActive = true;
+    setInputSource(source);
+}
+
+// Called every frame: a sensor that stops reporting must not leave the balls
+// rolling on its last reading
+function checkSensorStall() {
+    if (inputSource !== 'motion' && inputSource !== 'orientation') return;
+    if (performance.now() - lastSensorSample[inputSource] < SENSOR_STALL_TIMEOUT) return;
+    
+    // The other sensor may still be alive; handleOrientation picks it up on its next reading
+    motionActive = false;
+    accelerationX = 0;
+    accelerationY = GRAVITY;
+    tiltFilter = createTiltFilter();
+    setInputSource('stalled');
+}
+
+function handlePointerTilt(tilt, kind) {
+    if (gameState !== 'running') return;
+    
+    if (!tilt) {
+        // Let go: the sensor resumes on its next reading, otherwise the board levels out
+        pointerActive = false;
+        if (!motionActive) {
+            accelerationX = 0;
+            accelerationY = GRAVITY;
+            setInputSource('none');
+        }
+        updateMotionStatus();
+        return;
+    }
+    
+    pointerActive = true;
+    accelerationX = tilt.x;
+    accelerationY = tilt.y;
+    setInputSource(kind);
+    updateMotionStatus();
+}
+
+// Poll the controller once per frame: the stick tilts the board and a start
+// button restarts the run (or resumes a paused one)
+function handleGamepad() {
+    const state = readGamepad();
+    if (!state) return;
+    
+    if (state.startPressed) {
+        if (gameState === 'paused') {
+            resumeGame();
+        } else {
+            startGame();
+        }
+        return;
+    }
+    if (gameState !== 'running' || pointerActive) return;
+    
+    if (state.tilt) {
+        gamepadActive = true;
+        accelerationX = state.tilt.x;
+        accelerationY = state.tilt.y;
+        setInputSource('gamepad');
+        updateMotionStatus();
+    } else if (gamepadActive) {
+        // Stick released: the sensor resumes on its next reading, otherwise the board levels out
+        gamepadActive = false;
+        if (!motionActive) {
+            accelerationX = 0;
+            accelerationY = GRAVITY;
+            setInputSource('none');
         }
-        
-        // Update status to show motion is working
         updateMotionStatus();
-    } else {
-        motionActive = false;
     }
 }
 
+// Between runs the game loop is stopped, so poll for start presses separately
+function startGamepadMenuPolling() {
+    if (gamepadMenuPolling) return;
+    gamepadMenuPolling = true;
+    
+    const poll = () => {
+        if (!getActiveGamepad()) {
+            gamepadMenuPolling = false;
+            return;
+        }
+        if (gameState !== 'running' && !replay) handleGamepad();
+        requestAnimationFrame(poll);
+    };
+    requestAnimationFrame(poll);
+}
+
+function setInputSource(source) {
+    if (inputSource === source) return;
+    inputSource = source;
+    updateMotionStatus();
+}
+
 function updateMotionStatus() {
     const status = document.getElementById('status');
-    if (motionActive) {
-        status.style.color = '#4CAF50'; // Green when motion is active
+    if (gameState !== 'running') return;
+    
+    setLocalizedText(status, 'status.playing', {
+        level: levelName(currentLevel),
+        count: currentLevel.required,
+        input: translate(`input.${inputSource}`)
+    });
+    if (pointerActive || gamepadActive) {
+        status.style.color = '#2196F3'; // Blue for touch, mouse and gamepad
+    } else if (motionActive) {
+        status.style.color = '#4CAF50'; // Green when a tilt sensor is active
     } else if (keyboardActive) {
         status.style.color = '#2196F3'; // Blue for keyboard
+    } else if (inputSource === 'stalled') {
+        status.style.color = '#FF9800'; // Orange when the sensor has gone quiet
+    } else {
+        status.style.color = '#666';
     }
 }
 
 function handleKeyDown(event) {
-    if (!gameRunning) return;
+    if (levelEditor && !editorTesting) {
+        handleEditorKey(event);
+        return;
+    }
+    if (event.key === 'p' || event.key === 'P' || event.key === 'Escape') {
+        if (isRunInProgress()) {
+            togglePause();
+            event.preventDefault();
+        }
+        return;
+    }
+    if (gameState !== 'running') return;
     
     keyboardActive = true;
+    if (!motionActive && !pointerActive && !gamepadActive) setInputSource('keyboard');
     const keyForce = 1.0;
     
     switch(event.key) {
@@ -463,7 +1502,7 @@ function handleKeyDown(event) {
 }
 
 function handleKeyUp(event) {
-    if (!gameRunning) return;
+    if (gameState !== 'running') return;
     
     switch(event.key) {
         case 'ArrowLeft':
@@ -479,257 +1518,557 @@ function handleKeyUp(event) {
     }
 }
 
-function update() {
-    if (!gameRunning) return;
+// Advance the simulation by one fixed step of dt seconds
+function update(dt) {
+    if (replay) {
+        if (!replay.advance(dt)) finishReplay();
+        return;
+    }
+    
+    if (gameState !== 'running') return;
     
-    // Update each ball
-    for (let i = 0; i < balls.length; i++) {
-        updateBall(balls[i], i);
+    const input = { x: accelerationX, y: accelerationY };
+    if (recorder) recorder.record(input);
+    world.step(input, dt);
+    
+    if (ghostReplay) {
+        ghostReplay.advance(dt);
+    }
+}
+
+function initReplayControls() {
+    const saved = readStorage('lastReplay', null);
+    if (saved) {
+        try {
+            lastRecording = parseReplay(saved);
+        } catch (error) {
+            console.warn('Discarding saved replay:', error);
+            removeStorage('lastReplay');
+        }
     }
     
-    // Check win condition
-    checkWinCondition();
+    const replayFile = document.getElementById('replayFile');
+    document.getElementById('watchReplayBtn').addEventListener('click', watchReplay);
+    document.getElementById('saveReplayBtn').addEventListener('click', downloadReplay);
+    document.getElementById('loadReplayBtn').addEventListener('click', () => replayFile.click());
+    replayFile.addEventListener('change', loadReplayFile);
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    document.getElementById('watchReplayBtn').disabled = !lastRecording;
+    document.getElementById('saveReplayBtn').disabled = !lastRecording;
+}
+
+function startRecording() {
+    recorder = createRecorder(currentLevel, world.width, world.height, PHYSICS_STEP, world.seed, world.physics);
 }
 
-// Helper function to check if ball is actually near a corner (not just along a wall)
-function isNearCorner(ball, corner) {
-    const threshold = STICKY_RADIUS;
-    const w = canvas.width;
-    const h = canvas.height;
+// Keep the run that just ended (won or abandoned) as the latest recording
+function finishRecording() {
+    if (recorder && recorder.stepCount > 0) {
+        lastRecording = recorder.recording;
+        writeStorage('lastReplay', lastRecording);
+        updateReplayControls();
+    }
+    recorder = null;
+}
+
+// Race the latest recording of this level alongside the live run, if enabled
+function startGhost() {
+    const ghostEnabled = document.getElementById('ghostToggle').checked;
+    ghostReplay = ghostEnabled && lastRecording && lastRecording.level.id === currentLevel.id
+        ? createReplay(lastRecording)
+        : null;
+}
+
+// Play the latest recording back on the board
+function watchReplay() {
+    if (!lastRecording || isRunInProgress()) return;
+    
+    stopWinFlash();
+    replay = createReplay(lastRecording);
+    world = replay.world;
+    attachWorldSounds(world);
+    attachWorldEffects(world);
+    
+    const status = document.getElementById('status');
+    setLocalizedText(status, 'status.replay', { level: levelName(lastRecording.level) });
+    status.style.fontSize = '14px';
+    status.style.fontWeight = 'normal';
+    status.style.color = '#666';
     
-    // For each corner, check if ball is within the corner region (not just along one wall)
-    if (corner.x === 0 && corner.y === 0) {
-        // Top-left corner: both x and y should be small
-        return ball.x < threshold && ball.y < threshold;
-    } else if (corner.x === w && corner.y === 0) {
-        // Top-right corner: x should be large, y should be small
-        return ball.x > w - threshold && ball.y < threshold;
-    } else if (corner.x === 0 && corner.y === h) {
-        // Bottom-left corner: x should be small, y should be large
-        return ball.x < threshold && ball.y > h - threshold;
-    } else if (corner.x === w && corner.y === h) {
-        // Bottom-right corner: both x and y should be large
-        return ball.x > w - threshold && ball.y > h - threshold;
-    } else if (corner.x === w / 2 && corner.y === h / 2) {
-        // Center corner (inner quadrant corners): ball should be near center
-        return Math.abs(ball.x - w / 2) < threshold && Math.abs(ball.y - h / 2) < threshold;
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
     }
     
-    return false;
+    startGameLoop();
+}
+
+function finishReplay() {
+    replay = null;
+    stopRollingSounds();
+    setLocalizedText(document.getElementById('status'), 'status.replayFinished');
 }
 
-function updateBall(ball, ballIndex) {
-    // Check if ball is in a sticky corner BEFORE applying forces
-    let isInStickyCorner = false;
+function stopReplay() {
+    replay = null;
+    stopRollingSounds();
+    ghostReplay = null;
+}
+
+function downloadReplay() {
+    if (!lastRecording) return;
     
-    for (let spot of stickySpots) {
-        if (!spot.isCorner) continue;
-        
-        const dx = ball.x - spot.x;
-        const dy = ball.y - spot.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const edgeDist = Math.max(0, dist - ball.radius);
-        
-        // Only apply dampening if ball is actually in the corner region
-        // Check both distance from the ball's edge and that ball is actually near the corner (not just along wall)
-        const isInCorner = edgeDist < STICKY_RADIUS && isNearCorner(ball, spot);
-        
-        if (isInCorner) {
-            isInStickyCorner = true;
-            break;
-        }
+    const blob = new Blob([JSON.stringify(lastRecording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ball-bearing-replay-${lastRecording.level.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+async function loadReplayFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    const status = document.getElementById('status');
+    try {
+        lastRecording = parseReplay(await file.text());
+        writeStorage('lastReplay', lastRecording);
+        updateReplayControls();
+        setLocalizedText(status, 'status.replayLoaded', { level: levelName(lastRecording.level) });
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        setLocalizedText(status, 'status.replayFailed');
     }
+}
+
+// Level editor toolbar, board input and file handling (see editor.js)
+function initEditorControls() {
+    document.getElementById('editBtn').addEventListener('click', openEditor);
     
-    // If ball is in a sticky corner, check if applied force is strong enough to escape
-    if (isInStickyCorner) {
-        // Calculate the total applied force (tilt magnitude)
-        const appliedForce = Math.sqrt(accelerationX * accelerationX + accelerationY * accelerationY);
-        
-        // If the applied force is below the escape threshold, hold the ball completely still
-        // This simulates a dent in the floor that holds the ball until sufficient tilt
-        if (appliedForce < STICKY_ESCAPE_THRESHOLD) {
-            // Hold the ball completely still - don't apply any forces, set velocity to zero
-            ball.vx = 0;
-            ball.vy = 0;
-            // Don't apply acceleration or friction
-        } else {
-            // Applied force exceeds threshold, allow movement but with dampening
-            ball.vx += accelerationX;
-            ball.vy += accelerationY;
-            ball.vx *= FRICTION * STICKY_STRENGTH;
-            ball.vy *= FRICTION * STICKY_STRENGTH;
-        }
-    } else {
-        // Not in sticky corner - apply forces normally
-        ball.vx += accelerationX;
-        ball.vy += accelerationY;
-        ball.vx *= FRICTION;
-        ball.vy *= FRICTION;
-    }
-    
-    // Check capture state for all corner spots
-    for (let spot of stickySpots) {
-        if (!spot.isOuterCorner) continue;
-        
-        const dx = ball.x - spot.x;
-        const dy = ball.y - spot.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const edgeDist = Math.max(0, dist - ball.radius);
-        const isInCorner = edgeDist < STICKY_RADIUS && isNearCorner(ball, spot);
-        
-        if (isInCorner) {
-            const velocity = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
-            const wasCapture = ballStates[ballIndex].captured;
-            const isNowCaptured = velocity < CORNER_CAPTURE_THRESHOLD
-                && isInCorner;
-            
-            if (isNowCaptured && !wasCapture) {
-                // Ball just got captured
-                ballStates[ballIndex].captured = true;
-                ballStates[ballIndex].cornerIndex = spot.index;
-                cornerCaptureCache[spot.index] = true;
-                playTada();
-            } else if (!isNowCaptured && wasCapture && ballStates[ballIndex].cornerIndex === spot.index) {
-                // Ball just escaped
-                ballStates[ballIndex].captured = false;
-                ballStates[ballIndex].cornerIndex = -1;
-                cornerCaptureCache[spot.index] = false;
-                playWahwah();
-            } else if (isNowCaptured) {
-                // Still captured
-                ballStates[ballIndex].captured = true;
-                ballStates[ballIndex].cornerIndex = spot.index;
-                cornerCaptureCache[spot.index] = true;
-            }
-        } else if (ballStates[ballIndex].captured && ballStates[ballIndex].cornerIndex === spot.index) {
-            // Ball has moved away from corner - it escaped
-            ballStates[ballIndex].captured = false;
-            ballStates[ballIndex].cornerIndex = -1;
-            cornerCaptureCache[spot.index] = false;
-            playWahwah();
-        }
+    for (let button of document.querySelectorAll('#editorToolbar [data-tool]')) {
+        button.addEventListener('click', () => {
+            levelEditor.setTool(button.dataset.tool);
+            refreshEditor();
+        });
     }
+    const editorAction = action => () => {
+        if (action()) refreshEditor();
+    };
+    document.getElementById('editorDeleteBtn').addEventListener('click', editorAction(() => levelEditor.deleteSelection()));
+    document.getElementById('editorUndoBtn').addEventListener('click', editorAction(() => levelEditor.undo()));
+    document.getElementById('editorRedoBtn').addEventListener('click', editorAction(() => levelEditor.redo()));
     
-    // Update position
-    ball.x += ball.vx;
-    ball.y += ball.vy;
+    const snapToggle = document.getElementById('editorSnapToggle');
+    snapToggle.addEventListener('change', () => {
+        levelEditor.snap = snapToggle.checked;
+        refreshEditor();
+    });
     
-    // Get quadrant boundaries based on ball's quadrant
-    const halfWidth = canvas.width / 2;
-    const halfHeight = canvas.height / 2;
-    const wallHalf = WALL_THICKNESS / 2;
+    const targetToggle = document.getElementById('editorTargetToggle');
+    targetToggle.addEventListener('change', editorAction(() => levelEditor.setDentProperty('target', targetToggle.checked)));
+    const radiusSlider = document.getElementById('editorRadiusSlider');
+    radiusSlider.min = DENT_RADIUS_RANGE.min;
+    radiusSlider.max = DENT_RADIUS_RANGE.max;
+    radiusSlider.step = DENT_RADIUS_RANGE.step;
+    radiusSlider.addEventListener('input', editorAction(() => levelEditor.setDentProperty('radius', Number(radiusSlider.value))));
+    const strengthSlider = document.getElementById('editorStrengthSlider');
+    strengthSlider.min = DENT_STRENGTH_RANGE.min;
+    strengthSlider.max = DENT_STRENGTH_RANGE.max;
+    strengthSlider.step = DENT_STRENGTH_RANGE.step;
+    strengthSlider.addEventListener('input', editorAction(() => levelEditor.setDentProperty('strength', Number(strengthSlider.value))));
     
-    let minX, maxX, minY, maxY;
+    const nameInput = document.getElementById('editorNameInput');
+    nameInput.addEventListener('input', editorAction(() => levelEditor.setLevelProperty('name', nameInput.value)));
+    const requiredInput = document.getElementById('editorRequiredInput');
+    requiredInput.addEventListener('change', editorAction(() => levelEditor.setLevelProperty('required', Number(requiredInput.value))));
+    const collisionsToggle = document.getElementById('editorCollisionsToggle');
+    collisionsToggle.addEventListener('change', editorAction(() => levelEditor.setLevelProperty('ballCollisions', collisionsToggle.checked)));
     
-    // Set boundaries based on quadrant
-    switch (ball.quadrant) {
-        case 0: // Top-left
-            minX = 0;
-            maxX = halfWidth - wallHalf;
-            minY = 0;
-            maxY = halfHeight - wallHalf;
-            break;
-        case 1: // Top-right
-            minX = halfWidth + wallHalf;
-            maxX = canvas.width;
-            minY = 0;
-            maxY = halfHeight - wallHalf;
-            break;
-        case 2: // Bottom-left
-            minX = 0;
-            maxX = halfWidth - wallHalf;
-            minY = halfHeight + wallHalf;
-            maxY = canvas.height;
-            break;
-        case 3: // Bottom-right
-            minX = halfWidth + wallHalf;
-            maxX = canvas.width;
-            minY = halfHeight + wallHalf;
-            maxY = canvas.height;
-            break;
-        default:
-            // Fallback to top-left quadrant if invalid quadrant
-            console.warn('Invalid quadrant:', ball.quadrant);
-            minX = 0;
-            maxX = halfWidth - wallHalf;
-            minY = 0;
-            maxY = halfHeight - wallHalf;
-            break;
+    document.getElementById('editorNewBtn').addEventListener('click', () => {
+        levelEditor.load({ name: translate('editor.untitled'), walls: [], dents: [], balls: [], required: 0 });
+        refreshEditor();
+    });
+    document.getElementById('editorTestBtn').addEventListener('click', () => {
+        if (editorTesting) {
+            stopTestPlay();
+        } else {
+            startTestPlay();
+        }
+    });
+    const editorFile = document.getElementById('editorFile');
+    document.getElementById('editorExportBtn').addEventListener('click', downloadEditorLevel);
+    document.getElementById('editorImportBtn').addEventListener('click', () => editorFile.click());
+    editorFile.addEventListener('change', loadEditorFile);
+    document.getElementById('editorLinkBtn').addEventListener('click', copyEditorLink);
+    document.getElementById('editorDoneBtn').addEventListener('click', closeEditor);
+    
+    // Board input goes to the editor while editing; pointer.js ignores it outside a run
+    const toWorld = event => {
+        const position = pointerCanvasPosition(canvas, event);
+        return { x: position.x / position.width * boardWidth, y: position.y / position.height * boardHeight };
+    };
+    canvas.addEventListener('pointerdown', event => {
+        if (!levelEditor || editorTesting) return;
+        if (canvas.setPointerCapture) canvas.setPointerCapture(event.pointerId);
+        const point = toWorld(event);
+        levelEditor.pointerDown(point.x, point.y);
+        refreshEditor();
+    });
+    canvas.addEventListener('pointermove', event => {
+        if (!levelEditor || editorTesting) return;
+        const point = toWorld(event);
+        if (levelEditor.pointerMove(point.x, point.y)) refreshEditor();
+    });
+    for (let type of ['pointerup', 'pointercancel']) {
+        canvas.addEventListener(type, () => {
+            if (levelEditor && !editorTesting && levelEditor.pointerUp()) refreshEditor();
+        });
     }
+}
+
+// Start editing a copy of the selected level
+function openEditor() {
+    if (isRunInProgress()) return;
     
-    // Collision detection with boundaries (including quadrant walls)
-    let bounced = false;
-    let bounceVelocity = 0;
+    stopReplay();
+    stopWinFlash();
+    resetEffects();
+    levelEditor = createLevelEditor(availableLevels[levelIndex]);
+    setMenuVisible(false);
+    document.getElementById('editorToolbar').hidden = false;
+    document.getElementById('editorSnapToggle').checked = levelEditor.snap;
+    showEditorMessage(null);
+    
+    const runStatsLine = document.getElementById('runStats');
+    delete runStatsLine.dataset.i18n;
+    runStatsLine.textContent = '';
+    showEditorHint();
+    refreshEditor();
+}
+
+// Leave the editor and go back to the selected level. Export or copy a link
+// first to keep the level.
+function closeEditor() {
+    levelEditor = null;
+    document.getElementById('editorToolbar').hidden = true;
+    loadLevel(availableLevels[levelIndex]);
+    setMenuVisible(true);
+    setLocalizedText(document.getElementById('status'), 'status.tapStart');
+    draw();
+}
+
+function showEditorHint() {
+    const status = document.getElementById('status');
+    setLocalizedText(status, 'editor.hint');
+    status.style.fontSize = '14px';
+    status.style.fontWeight = 'normal';
+    status.style.color = '#666';
+}
+
+// Show a message under the editor toolbar, or clear it with null
+function showEditorMessage(key, params) {
+    const message = document.getElementById('editorMessage');
+    if (key) {
+        setLocalizedText(message, key, params);
+    } else {
+        delete message.dataset.i18n;
+        message.textContent = '';
+    }
+}
+
+// Show the level being edited on a still preview board and bring the toolbar up to date
+function refreshEditor() {
+    levelEditor.board = { width: boardWidth, height: boardHeight, ballRadius: physicsSettings.values.ballRadius };
+    world = createWorld(levelEditor.level, boardWidth, boardHeight, { physics: physicsSettings.values });
+    updateEditorToolbar();
+    draw();
+}
+
+function updateEditorToolbar() {
+    for (let row of document.querySelectorAll('#editorToolbar .editorEditRow')) {
+        row.hidden = editorTesting;
+    }
+    const testButton = document.getElementById('editorTestBtn');
+    setLocalizedText(testButton, editorTesting ? 'editor.stopTest' : 'editor.testPlay');
+    testButton.setAttribute('aria-pressed', editorTesting);
+    if (editorTesting) return;
     
-    // Left boundary (outer wall or center wall)
-    if (ball.x - ball.radius < minX) {
-        ball.x = minX + ball.radius;
-        bounceVelocity = Math.abs(ball.vx);
-        ball.vx = -ball.vx * BOUNCE_EFFICIENCY;
-        bounced = true;
+    for (let button of document.querySelectorAll('#editorToolbar [data-tool]')) {
+        button.setAttribute('aria-pressed', button.dataset.tool === levelEditor.tool);
     }
+    document.getElementById('editorDeleteBtn').disabled = !levelEditor.selection;
+    document.getElementById('editorUndoBtn').disabled = !levelEditor.canUndo;
+    document.getElementById('editorRedoBtn').disabled = !levelEditor.canRedo;
     
-    // Right boundary (outer wall or center wall)
-    if (ball.x + ball.radius > maxX) {
-        ball.x = maxX - ball.radius;
-        bounceVelocity = Math.abs(ball.vx);
-        ball.vx = -ball.vx * BOUNCE_EFFICIENCY;
-        bounced = true;
+    const dent = levelEditor.selection && levelEditor.selection.kind === 'dent' ? levelEditor.getSelected() : null;
+    document.getElementById('editorDentControls').hidden = !dent;
+    if (dent) {
+        const radius = dent.radius || STICKY_RADIUS;
+        const strength = dent.strength !== undefined ? dent.strength : 1;
+        document.getElementById('editorTargetToggle').checked = dent.target;
+        document.getElementById('editorRadiusSlider').value = radius;
+        document.getElementById('editorRadiusValue').textContent = radius;
+        document.getElementById('editorStrengthSlider').value = strength;
+        document.getElementById('editorStrengthValue').textContent = `×${strength}`;
     }
     
-    // Top boundary (outer wall or center wall)
-    if (ball.y - ball.radius < minY) {
-        ball.y = minY + ball.radius;
-        bounceVelocity = Math.abs(ball.vy);
-        ball.vy = -ball.vy * BOUNCE_EFFICIENCY;
-        bounced = true;
+    // Leave fields being typed in alone
+    const nameInput = document.getElementById('editorNameInput');
+    if (document.activeElement !== nameInput) nameInput.value = levelEditor.level.name;
+    const requiredInput = document.getElementById('editorRequiredInput');
+    if (document.activeElement !== requiredInput) requiredInput.value = levelEditor.level.required;
+    document.getElementById('editorCollisionsToggle').checked = levelEditor.level.ballCollisions;
+}
+
+// Delete removes the selection; Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes
+function handleEditorKey(event) {
+    if (event.target.type === 'text' || event.target.type === 'number') return;
+    
+    const shortcut = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+    let changed;
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        changed = levelEditor.deleteSelection();
+    } else if (shortcut && key === 'z') {
+        changed = event.shiftKey ? levelEditor.redo() : levelEditor.undo();
+    } else if (shortcut && key === 'y') {
+        changed = levelEditor.redo();
+    } else {
+        return;
     }
+    event.preventDefault();
+    if (changed) refreshEditor();
+}
+
+// The editor's level checked the way the game will load it, or null after
+// explaining what's wrong with it
+function getEditorLevel() {
+    try {
+        return parseLevel(levelEditor.toJSON());
+    } catch (error) {
+        // parseLevel explains itself in English. Levels drawn in the editor
+        // can only go wrong by missing balls or target dents, so those get
+        // messages of their own.
+        console.warn('Level not playable:', error);
+        const level = levelEditor.level;
+        if (level.balls.length === 0) {
+            showEditorMessage('editor.needsBall');
+        } else if (!level.dents.some(dent => dent.target !== false)) {
+            showEditorMessage('editor.needsTarget');
+        } else {
+            showEditorMessage('editor.invalid');
+        }
+        return null;
+    }
+}
+
+// Play the level as it stands, straight from the editor. Test plays aren't
+// recorded, scored or saved.
+async function startTestPlay() {
+    const level = getEditorLevel();
+    if (!level) return;
     
-    // Bottom boundary (outer wall or center wall)
-    if (ball.y + ball.radius > maxY) {
-        ball.y = maxY - ball.radius;
-        bounceVelocity = Math.abs(ball.vy);
-        ball.vy = -ball.vy * BOUNCE_EFFICIENCY;
-        bounced = true;
+    showEditorMessage(null);
+    editorTesting = true;
+    stopWinFlash();
+    loadLevel(level);
+    setGameState('idle');
+    updateEditorToolbar();
+    if (!(await enterRun())) {
+        stopTestPlay();
+        return;
     }
     
-    // Play sound if bounced with sufficient velocity
-    if (bounced) {
-        playBoink(bounceVelocity);
+    runPreset = null;
+    recorder = null;
+    ghostReplay = null;
+    updateRunStats();
+    startGameLoop();
+}
+
+// Back from a test play to the editor
+function stopTestPlay() {
+    editorTesting = false;
+    if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+    setGameState('idle');
+    releaseScreenHold();
+    stopRollingSounds();
+    stopGuidanceTone();
+    resetEffects();
+    stopWinFlash();
+    pointerActive = false;
+    gamepadActive = false;
+    if (!motionActive) {
+        accelerationX = 0;
+        accelerationY = GRAVITY;
     }
+    
+    const runStatsLine = document.getElementById('runStats');
+    delete runStatsLine.dataset.i18n;
+    runStatsLine.textContent = '';
+    showEditorHint();
+    refreshEditor();
 }
 
-function checkWinCondition() {
-    // Check if all balls are captured in different corners
-    if (ballStates.length !== REQUIRED_CORNERS) return;
+function downloadEditorLevel() {
+    if (!getEditorLevel()) return;
     
-    const allCaptured = ballStates.every(state => state.captured);
+    const level = levelEditor.toJSON();
+    const blob = new Blob([JSON.stringify(level, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${level.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+async function loadEditorFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
     
-    if (allCaptured) {
-        // Check that all corners have a ball
-        const cornerSet = new Set(ballStates.map(state => state.cornerIndex));
-        if (cornerSet.size === REQUIRED_CORNERS) {
-            handleWin();
-        }
+    try {
+        const level = parseLevel(await file.text());
+        levelEditor.load(level);
+        showEditorMessage('editor.imported', { level: levelName(level) });
+        refreshEditor();
+    } catch (error) {
+        console.error('Error loading level file:', error);
+        showEditorMessage('editor.importFailed');
+    }
+}
+
+// Copy a link that opens the game on this level, packed into the URL itself
+async function copyEditorLink() {
+    if (!getEditorLevel()) return;
+    
+    const url = new URL(window.location.href);
+    url.searchParams.delete('level');
+    url.searchParams.set('levelData', encodeLevel(levelEditor.toJSON()));
+    try {
+        await navigator.clipboard.writeText(url.toString());
+        showEditorMessage('editor.linkCopied');
+    } catch (error) {
+        // Clipboard access can be refused; show the link so it can be copied by hand
+        showEditorMessage(null);
+        document.getElementById('editorMessage').textContent = url.toString();
     }
 }
 
 function handleWin() {
-    if (!gameRunning) return;
+    if (gameState !== 'running') return;
     // Win condition met!
-    gameRunning = false;
+    setGameState('won');
+    clearSavedRun();
+    releaseScreenHold();
+    finishRecording();
+    stopRollingSounds();
+    stopGuidanceTone();
+    resetEffects();
+    ghostReplay = null;
     playWinTune();
+    vibrateWin();
     startWinFlash();
     const status = document.getElementById('status');
-    status.textContent = '🎉 YOU WIN! All balls captured! 🎉';
+    setLocalizedText(status, 'status.win');
     status.style.fontSize = '24px';
     status.style.fontWeight = 'bold';
     status.style.color = '#333';
 
+    // A test play from the editor isn't scored and stays on its board
+    if (editorTesting) {
+        setLocalizedText(status, 'editor.testWon');
+        announce(translate('editor.testWon'));
+        return;
+    }
+
+    // Record the run before moving on so the table shows this level. Runs on
+    // custom physics have nothing fair to compare against, so they aren't kept.
+    const boardKey = runPreset ? getBestTimesKey(currentLevel.id, runPreset) : null;
+    const rank = boardKey ? recordResult(boardKey, {
+        time: world.time,
+        escapes: runStats.escapes,
+        bounces: runStats.bounces
+    }) : 0;
+    updateRunStats(rank === 1);
+    renderLeaderboard();
+    announce(translate(rank === 1 ? 'announce.winBest' : 'announce.win', { level: levelName(currentLevel), time: formatTime(world.time) }));
+
+    // Move on to the next level if there is one
+    const levelSelect = document.getElementById('levelSelect');
+    const hasNextLevel = levelIndex < availableLevels.length - 1;
+    if (hasNextLevel) {
+        levelIndex++;
+        levelSelect.value = levelIndex;
+    }
+    setMenuVisible(true);
+
     // Show restart button
-    const startBtn = document.getElementById('startBtn');
-    startBtn.textContent = 'Start Game';
-    startBtn.style.display = 'block';
+    setLocalizedText(document.getElementById('startBtn'), hasNextLevel ? 'menu.nextLevel' : 'menu.start');
+}
+
+function updateRunStats(newBest = false) {
+    setLocalizedText(document.getElementById('runStats'), newBest ? 'stats.lineBest' : 'stats.line', {
+        time: formatTime(world.time),
+        escapes: runStats.escapes,
+        bounces: runStats.bounces
+    });
+}
+
+// Best times are kept per difficulty; Normal uses the plain level id
+function getBestTimesKey(levelId, preset) {
+    if (preset === 'custom') return null;
+    return preset === 'normal' ? levelId : `${levelId}@${preset}`;
+}
+
+function renderLeaderboard() {
+    const list = document.getElementById('leaderboard');
+    const preset = physicsSettings.preset;
+    const boardKey = getBestTimesKey(currentLevel.id, preset);
+    const entries = boardKey ? getBestTimes(boardKey) : [];
+    const title = document.getElementById('leaderboardTitle');
+    if (preset === 'normal') {
+        setLocalizedText(title, 'leaderboard.titleLevel', { level: levelName(currentLevel) });
+    } else {
+        setLocalizedText(title, 'leaderboard.titleLevelDifficulty', {
+            level: levelName(currentLevel),
+            difficulty: translate(`difficulty.${preset}`)
+        });
+    }
+    list.innerHTML = '';
+    
+    if (!boardKey) {
+        const item = document.createElement('li');
+        item.textContent = translate('leaderboard.custom');
+        list.appendChild(item);
+        return;
+    }
+    
+    if (entries.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = translate('leaderboard.empty');
+        list.appendChild(item);
+        return;
+    }
+    
+    for (let entry of entries) {
+        const item = document.createElement('li');
+        item.textContent = [
+            formatTime(entry.time),
+            translate('leaderboard.escapes', { count: entry.escapes }),
+            translate('leaderboard.bounces', { count: entry.bounces })
+        ].join(' · ');
+        list.appendChild(item);
+    }
 }
 
 function startWinFlash() {
@@ -743,7 +2082,10 @@ function startWinFlash() {
             draw();
             return;
         }
-        winFlashIndex = (winFlashIndex + 1) % WIN_FLASH_COLORS.length;
+        // With reduced motion the tint holds one color instead of strobing
+        if (!isReducedMotion()) {
+            winFlashIndex = (winFlashIndex + 1) % WIN_FLASH_COLORS.length;
+        }
         draw();
     }, 120);
 }
@@ -756,49 +2098,82 @@ function stopWinFlash() {
     }
 }
 
-function draw() {
+// alpha is how far rendering sits between the last two physics steps (0..1)
+function draw(alpha = 1) {
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    // Draw quadrant dividing walls (solid)
-    const halfWidth = canvas.width / 2;
-    const halfHeight = canvas.height / 2;
-    const wallHalf = WALL_THICKNESS / 2;
+    // Shake the whole board after a big bounce
+    const shake = getScreenShake();
+    ctx.save();
+    ctx.translate(shake.x * canvas.width / world.width, shake.y * canvas.height / world.height);
     
-    ctx.fillStyle = '#333333';
+    // Replays may have been recorded on a different board size
+    ctx.save();
+    ctx.scale(canvas.width / world.width, canvas.height / world.height);
+    drawBoardSurface();
     
-    // Vertical wall
-    ctx.fillRect(halfWidth - wallHalf, 0, WALL_THICKNESS, canvas.height);
-    
-    // Horizontal wall
-    ctx.fillRect(0, halfHeight - wallHalf, canvas.width, WALL_THICKNESS);
-    
-    // Draw sticky spots
-    for (let spot of stickySpots) {
+    // Draw level walls (solid)
+    ctx.fillStyle = currentTheme.walls.color;
+    ctx.strokeStyle = currentTheme.walls.color;
+    ctx.lineCap = 'round';
+    for (let wall of world.walls) {
         ctx.beginPath();
-        ctx.arc(spot.x, spot.y, STICKY_RADIUS, 0, Math.PI * 2);
-        
-        if (spot.isOuterCorner) {
-            // Use cached result for whether this corner has a captured ball
-            const hasCapturedBall = cornerCaptureCache[spot.index] || false;
-            ctx.fillStyle = hasCapturedBall 
-                ? 'rgba(76, 175, 80, 0.3)' // Green if captured
-                : 'rgba(255, 152, 0, 0.2)'; // Orange for corners
+        if (wall.type === 'polygon') {
+            ctx.moveTo(wall.points[0].x, wall.points[0].y);
+            for (let point of wall.points.slice(1)) {
+                ctx.lineTo(point.x, point.y);
+            }
+            ctx.closePath();
+            ctx.fill();
         } else {
-            ctx.fillStyle = 'rgba(158, 158, 158, 0.2)'; // Gray for center
+            ctx.moveTo(wall.x1, wall.y1);
+            ctx.lineTo(wall.x2, wall.y2);
+            ctx.lineWidth = wall.radius * 2;
+            ctx.stroke();
         }
+    }
+    
+    // Draw sticky spots
+    for (let spot of world.stickySpots) {
+        ctx.beginPath();
+        ctx.arc(spot.x, spot.y, spot.radius, 0, Math.PI * 2);
+        
+        // Use cached result for whether this dent has a captured ball
+        const hasCapturedBall = world.cornerCaptureCache[spot.index] || false;
+        const dentStyle = !spot.isTarget
+            ? currentTheme.dents.plain
+            : hasCapturedBall ? currentTheme.dents.captured : currentTheme.dents.target;
+        ctx.fillStyle = dentStyle.fill;
         ctx.fill();
         
         // Draw border
-        ctx.strokeStyle = spot.isOuterCorner ? '#FF9800' : '#9E9E9E';
+        ctx.strokeStyle = dentStyle.stroke;
         ctx.lineWidth = 2;
         ctx.stroke();
     }
+    drawCaptureGlows(ctx, currentTheme.effects);
+    
+    ctx.restore();
+    
+    // Draw the ghost run underneath the live balls
+    if (ghostReplay) {
+        drawGhost(alpha);
+    }
     
     // Draw all balls
-    for (let ball of balls) {
-        drawBall(ball);
+    ctx.save();
+    ctx.scale(canvas.width / world.width, canvas.height / world.height);
+    drawTrails(ctx, world.balls, currentTheme.effects);
+    for (let ball of world.balls) {
+        drawBall(ball, alpha);
+    }
+    drawSparks(ctx, currentTheme.effects);
+    if (levelEditor && !editorTesting) {
+        drawLevelEditor(ctx, levelEditor);
     }
+    ctx.restore();
+    ctx.restore();
 
     if (winFlashActive) {
         ctx.save();
@@ -807,48 +2182,245 @@ function draw() {
         ctx.fillRect(0, 0, canvas.width, canvas.height);
         ctx.restore();
     }
+    
+    if (gameState === 'running') {
+        ctx.save();
+        ctx.setTransform(canvasPixelRatio, 0, 0, canvasPixelRatio, 0, 0);
+        drawPointerJoystick(ctx);
+        ctx.restore();
+    }
+}
+
+function drawGhost(alpha) {
+    const ghostWorld = ghostReplay.world;
+    
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.scale(canvas.width / ghostWorld.width, canvas.height / ghostWorld.height);
+    for (let ball of ghostWorld.balls) {
+        drawBall(ball, alpha);
+    }
+    ctx.restore();
+}
+
+// Fill the board with the theme's color and texture. Textures can be
+// thousands of shapes, so they're drawn once into an offscreen canvas.
+let boardSurfaceCache = null;
+
+function drawBoardSurface() {
+    const cache = boardSurfaceCache;
+    if (!cache || cache.theme !== currentTheme || cache.width !== canvas.width || cache.height !== canvas.height
+            || cache.worldWidth !== world.width || cache.worldHeight !== world.height) {
+        const surface = document.createElement('canvas');
+        surface.width = canvas.width;
+        surface.height = canvas.height;
+        const surfaceCtx = surface.getContext('2d');
+        surfaceCtx.scale(canvas.width / world.width, canvas.height / world.height);
+        paintBoardSurface(surfaceCtx, currentTheme.board, world.width, world.height);
+        boardSurfaceCache = {
+            theme: currentTheme,
+            width: canvas.width,
+            height: canvas.height,
+            worldWidth: world.width,
+            worldHeight: world.height,
+            canvas: surface
+        };
+    }
+    ctx.drawImage(boardSurfaceCache.canvas, 0, 0, world.width, world.height);
+}
+
+function paintBoardSurface(context, board, width, height) {
+    context.fillStyle = board.color;
+    context.fillRect(0, 0, width, height);
+    
+    const texture = board.texture;
+    if (!texture || texture.type === 'none') return;
+    
+    context.fillStyle = texture.color;
+    context.strokeStyle = texture.color;
+    context.lineWidth = 1;
+    context.beginPath();
+    switch (texture.type) {
+        case 'grid':
+            for (let x = texture.spacing; x < width; x += texture.spacing) {
+                context.moveTo(x, 0);
+                context.lineTo(x, height);
+            }
+            for (let y = texture.spacing; y < height; y += texture.spacing) {
+                context.moveTo(0, y);
+                context.lineTo(width, y);
+            }
+            context.stroke();
+            break;
+        case 'dots':
+            for (let x = texture.spacing / 2; x < width; x += texture.spacing) {
+                for (let y = texture.spacing / 2; y < height; y += texture.spacing) {
+                    context.moveTo(x + 1.5, y);
+                    context.arc(x, y, 1.5, 0, Math.PI * 2);
+                }
+            }
+            context.fill();
+            break;
+        case 'stripes':
+            // Diagonal bands across the whole board
+            context.lineWidth = texture.spacing / 2;
+            for (let offset = -height; offset < width; offset += texture.spacing) {
+                context.moveTo(offset, 0);
+                context.lineTo(offset + height, height);
+            }
+            context.stroke();
+            break;
+    }
 }
 
-function drawBall(ball) {
-    // Draw ball with gradient
+// alpha blends between the previous and current physics step (0..1)
+function drawBall(ball, alpha) {
+    const x = ball.prevX + (ball.x - ball.prevX) * alpha;
+    const y = ball.prevY + (ball.y - ball.prevY) * alpha;
+    const radius = ball.radius;
+    const material = currentTheme.ball;
+    const [light, mid, dark] = material.colors;
+    
+    // "Larger balls" rings the ball with a halo. The ball itself keeps its
+    // true size, so it still meets walls and dents where the physics does.
+    if (accessibilitySettings.largeBalls) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius * LARGE_BALL_HALO_SCALE, 0, Math.PI * 2);
+        ctx.save();
+        ctx.globalAlpha *= 0.3;
+        ctx.fillStyle = dark;
+        ctx.fill();
+        ctx.restore();
+        ctx.strokeStyle = dark;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+    
+    // Shade the ball as if lit from the top left
     const gradient = ctx.createRadialGradient(
-        ball.x - ball.radius * 0.3,
-        ball.y - ball.radius * 0.3,
-        ball.radius * 0.1,
-        ball.x,
-        ball.y,
-        ball.radius
+        x - radius * 0.3,
+        y - radius * 0.3,
+        radius * 0.1,
+        x,
+        y,
+        radius
     );
-    gradient.addColorStop(0, '#ffffff');
-    gradient.addColorStop(0.3, '#cccccc');
-    gradient.addColorStop(1, '#666666');
     
-    ctx.beginPath();
-    ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
-    ctx.fillStyle = gradient;
-    ctx.fill();
+    switch (material.material) {
+        case 'glass':
+            // Mostly see-through with a bright rim
+            ctx.save();
+            ctx.globalAlpha *= 0.55;
+            gradient.addColorStop(0, light);
+            gradient.addColorStop(0.6, mid);
+            gradient.addColorStop(1, dark);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = gradient;
+            ctx.fill();
+            ctx.restore();
+            
+            ctx.beginPath();
+            ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
+            ctx.strokeStyle = light;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            
+            // A second, smaller glint on the far side
+            ctx.beginPath();
+            ctx.arc(x + radius * 0.35, y + radius * 0.4, radius * 0.12, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fill();
+            break;
+        case 'marble':
+            gradient.addColorStop(0, light);
+            gradient.addColorStop(0.5, mid);
+            gradient.addColorStop(1, dark);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = gradient;
+            ctx.fill();
+            
+            // Swirled veins, kept inside the ball
+            ctx.save();
+            ctx.clip();
+            ctx.beginPath();
+            ctx.moveTo(x - radius, y + radius * 0.2);
+            ctx.bezierCurveTo(x - radius * 0.3, y - radius * 0.8, x + radius * 0.2, y + radius * 0.8, x + radius, y - radius * 0.3);
+            ctx.moveTo(x - radius * 0.6, y + radius);
+            ctx.bezierCurveTo(x - radius * 0.2, y + radius * 0.1, x + radius * 0.3, y + radius * 0.6, x + radius * 0.7, y - radius);
+            ctx.strokeStyle = material.vein || dark;
+            ctx.lineWidth = radius * 0.15;
+            ctx.stroke();
+            ctx.restore();
+            break;
+        default:
+            // Steel
+            gradient.addColorStop(0, light);
+            gradient.addColorStop(0.3, mid);
+            gradient.addColorStop(1, dark);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = gradient;
+            ctx.fill();
+    }
     
     // Add highlight to make it look like a ball bearing
     ctx.beginPath();
-    ctx.arc(ball.x - ball.radius * 0.3, ball.y - ball.radius * 0.3, ball.radius * 0.3, 0, Math.PI * 2);
+    ctx.arc(x - radius * 0.3, y - radius * 0.3, radius * 0.3, 0, Math.PI * 2);
     ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
     ctx.fill();
     
     // Draw shadow
     ctx.beginPath();
-    ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
     ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
     ctx.lineWidth = 2;
     ctx.stroke();
 }
 
-function gameLoop() {
-    if (!gameRunning) return;
+function gameLoop(timestamp) {
+    if (gameState !== 'running' && !replay) return;
     
-    update();
-    draw();
+    // Run as many fixed physics steps as real time has passed, carrying the remainder
+    if (lastFrameTime === null) lastFrameTime = timestamp;
+    const frameTime = Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME);
+    lastFrameTime = timestamp;
+    physicsAccumulator += frameTime;
     
-    requestAnimationFrame(gameLoop);
+    handleGamepad();
+    if (gameState !== 'running' && !replay) return; // A start press is restarting the run
+    
+    while (physicsAccumulator >= PHYSICS_STEP) {
+        update(PHYSICS_STEP);
+        physicsAccumulator -= PHYSICS_STEP;
+    }
+    
+    // A win or the end of a replay has just stopped the rolling sounds (and a
+    // win cleared the effects); draw the last frame without starting them again
+    if (gameState !== 'running' && !replay) {
+        draw(physicsAccumulator / PHYSICS_STEP);
+        return;
+    }
+    
+    if (gameState === 'running') {
+        checkSensorStall();
+        updateRunStats();
+        updateGuidanceTone(world);
+    }
+    updateRollingSounds(world);
+    updateEffects(frameTime, world.balls);
+    draw(physicsAccumulator / PHYSICS_STEP);
+    
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+// (Re)start the game loop from a clean frame clock
+function startGameLoop() {
+    if (animationFrameId !== null) cancelAnimationFrame(animationFrameId);
+    lastFrameTime = null;
+    physicsAccumulator = 0;
+    animationFrameId = requestAnimationFrame(gameLoop);
 }
 
 // Start the game when page loads
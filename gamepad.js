@@ -0,0 +1,55 @@
+// Gamepad API support: analog stick tilt, start/restart buttons and rumble
+//
+// Browsers only expose gamepad state by polling, so readGamepad() is called
+// once per frame. Any standard-mapping controller works; the first one
+// connected is used.
+
+const GAMEPAD_DEAD_ZONE = 0.15; // Stick deflection ignored around the center
+const GAMEPAD_MAX_TILT = 1.5; // Tilt with the stick pushed all the way
+const GAMEPAD_START_BUTTONS = [0, 9]; // A / Cross and Start in the standard mapping
+const GAMEPAD_RUMBLE_DURATION = 80; // Milliseconds
+const GAMEPAD_RUMBLE_FULL_SPEED = 900; // Bounce speed (pixels per second) that rumbles at full strength
+
+let gamepadStartHeld = false; // Start buttons fire once per press, not every frame they're held
+
+function getActiveGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    for (let pad of navigator.getGamepads()) {
+        if (pad && pad.connected) return pad;
+    }
+    return null;
+}
+
+// Poll the controller. Returns null with no controller, otherwise
+// { tilt, startPressed } where tilt is null while the stick rests in its
+// dead zone and startPressed is true on the frame a start button goes down.
+function readGamepad() {
+    const pad = getActiveGamepad();
+    if (!pad) return null;
+
+    // Rescale past the dead zone so the full tilt range is still reachable
+    const stick = applyDeadZone({ x: pad.axes[0] || 0, y: pad.axes[1] || 0 }, GAMEPAD_DEAD_ZONE);
+    const scale = GAMEPAD_MAX_TILT / (1 - GAMEPAD_DEAD_ZONE);
+    const tilt = stick.x === 0 && stick.y === 0
+        ? null
+        : { x: Math.max(-1, Math.min(1, stick.x)) * scale, y: Math.max(-1, Math.min(1, stick.y)) * scale };
+
+    const startDown = GAMEPAD_START_BUTTONS.some(index => pad.buttons[index] && pad.buttons[index].pressed);
+    const startPressed = startDown && !gamepadStartHeld;
+    gamepadStartHeld = startDown;
+
+    return { tilt, startPressed };
+}
+
+// Rumble the controller for a bounce, stronger for harder hits
+function rumbleGamepad(speed) {
+    const pad = getActiveGamepad();
+    if (!pad || !pad.vibrationActuator || !pad.vibrationActuator.playEffect) return;
+
+    const strength = Math.min(speed / GAMEPAD_RUMBLE_FULL_SPEED, 1);
+    pad.vibrationActuator.playEffect('dual-rumble', {
+        duration: GAMEPAD_RUMBLE_DURATION,
+        strongMagnitude: strength,
+        weakMagnitude: Math.min(strength * 1.5, 1)
+    }).catch(() => {});
+}
@@ -0,0 +1,51 @@
+// Haptic feedback with navigator.vibrate
+//
+// Patterns are in milliseconds (vibrate, pause, vibrate, ...). Vibration has
+// its own on/off setting, separate from sound, saved on the device.
+
+const HAPTICS_STORAGE_KEY = 'haptics';
+const HAPTIC_BOUNCE_MIN = 8; // Pulse length for the softest audible bounce
+const HAPTIC_BOUNCE_MAX = 40; // Pulse length for a full-speed bounce
+const HAPTIC_BOUNCE_FULL_SPEED = 900; // Bounce speed (pixels per second) that gets the longest pulse
+const HAPTIC_CAPTURE_PATTERN = [20, 40, 30];
+const HAPTIC_ESCAPE_PATTERN = [60, 50, 60];
+const HAPTIC_WIN_PATTERN = [50, 60, 50, 60, 150];
+
+let hapticsEnabled = true;
+
+function isHapticsSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+}
+
+function loadHapticsSetting() {
+    hapticsEnabled = readStorage(HAPTICS_STORAGE_KEY, true) !== false;
+}
+
+function setHapticsEnabled(enabled) {
+    hapticsEnabled = enabled;
+    writeStorage(HAPTICS_STORAGE_KEY, enabled);
+    if (!enabled && isHapticsSupported()) navigator.vibrate(0);
+}
+
+function vibrate(pattern) {
+    if (!hapticsEnabled || !isHapticsSupported()) return;
+    navigator.vibrate(pattern);
+}
+
+// A single pulse that gets longer the harder the ball hits
+function vibrateBounce(speed, minSpeed) {
+    const strength = Math.min(Math.max((speed - minSpeed) / (HAPTIC_BOUNCE_FULL_SPEED - minSpeed), 0), 1);
+    vibrate(Math.round(HAPTIC_BOUNCE_MIN + strength * (HAPTIC_BOUNCE_MAX - HAPTIC_BOUNCE_MIN)));
+}
+
+function vibrateCapture() {
+    vibrate(HAPTIC_CAPTURE_PATTERN);
+}
+
+function vibrateEscape() {
+    vibrate(HAPTIC_ESCAPE_PATTERN);
+}
+
+function vibrateWin() {
+    vibrate(HAPTIC_WIN_PATTERN);
+}
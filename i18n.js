@@ -0,0 +1,418 @@
+// Localization: message catalogs, locale detection and plurals
+//
+// Every player-facing string lives in MESSAGES under a key, one catalog per
+// locale. A message is either a string or, when it depends on a count, an
+// object of plural forms keyed by Intl.PluralRules categories ("one", "few",
+// "other" and so on; "other" is required). "{name}" placeholders are filled
+// from the params passed to translate(). Keys missing from a catalog fall back
+// to English.
+//
+// Static text in index.html is marked with data-i18n (text) and
+// data-i18n-label (aria-label) attributes and refreshed by translateDocument().
+// Level and theme names are data and keep the names they were written with.
+
+const LOCALE_STORAGE_KEY = 'locale';
+const DEFAULT_LOCALE = 'en';
+
+const MESSAGES = {
+    en: {
+        'languageName': 'English',
+
+        'menu.level': 'Level',
+        'menu.start': 'Start Game',
+        'menu.nextLevel': 'Next Level',
+        'menu.calibrate': 'Calibrate Tilt',
+        'menu.sound': 'Sound',
+        'menu.vibration': 'Vibration',
+        'menu.edit': 'Edit Level',
+        'board.label': 'Game board',
+        'panel.done': 'Done',
+
+        'replay.ghost': 'Ghost',
+        'replay.watch': 'Watch Replay',
+        'replay.save': 'Save Replay',
+        'replay.load': 'Load Replay',
+
+        'leaderboard.title': 'Best Times',
+        'leaderboard.titleLevel': 'Best Times: {level}',
+        'leaderboard.titleLevelDifficulty': 'Best Times: {level} ({difficulty})',
+        'leaderboard.custom': 'Best times aren\'t kept with custom physics',
+        'leaderboard.empty': 'No times yet',
+        'leaderboard.escapes': { one: '{count} escape', other: '{count} escapes' },
+        'leaderboard.bounces': { one: '{count} bounce', other: '{count} bounces' },
+
+        'calibration.title': 'Calibrate Tilt',
+        'calibration.intro': 'Hold your phone the way you want to play (upright, at an angle or flat on a desk), then tap Record.',
+        'calibration.record': 'Record Resting Tilt',
+        'calibration.reset': 'Reset',
+        'calibration.sensitivity': 'Sensitivity',
+        'calibration.smoothing': 'Smoothing',
+        'calibration.filterNone': 'None',
+        'calibration.filterLowPass': 'Low-pass',
+        'calibration.filterOneEuro': 'One-euro (adaptive)',
+        'calibration.deadZone': 'Dead zone',
+        'calibration.pointerMode': 'Mouse control',
+        'calibration.pointerDrag': 'Drag like a joystick',
+        'calibration.pointerMouse': 'Follow the cursor',
+        'calibration.resetDone': 'Calibration reset to a flat phone.',
+        'calibration.needsMotion': 'Motion access is needed to calibrate.',
+        'calibration.holdStill': 'Hold still...',
+        'calibration.recorded': 'Resting tilt recorded. Holding the phone like this now keeps the balls still.',
+        'calibration.noSensor': 'No motion sensor found on this device.',
+
+        'sound.title': 'Sound',
+        'sound.master': 'Volume',
+        'sound.sfx': 'Sound effects',
+        'sound.music': 'Music',
+        'sound.mute': 'Mute sound',
+        'sound.unmute': 'Unmute sound',
+
+        'pause.button': 'Pause',
+        'pause.title': 'Paused',
+        'pause.message': 'The board is frozen. Press P or Escape, or tap Resume, when you\'re ready.',
+        'pause.resume': 'Resume',
+        'pause.restart': 'Restart',
+
+        'settings.open': 'Settings',
+        'settings.title': 'Settings',
+        'settings.difficulty': 'Difficulty',
+        'settings.theme': 'Theme',
+        'settings.themeAuto': 'Match system (light or dark)',
+        'settings.language': 'Language',
+        'settings.languageAuto': 'Match device',
+        'settings.reducedMotion': 'Reduced motion',
+        'settings.highContrast': 'High contrast',
+        'settings.largeBalls': 'Larger balls',
+        'settings.audioGuidance': 'Audio guidance (a tone that rises as a ball nears a dent)',
+        'settings.advanced': 'Advanced',
+        'settings.share': 'Copy Link',
+        'settings.linkCopied': 'Link copied',
+
+        'difficulty.easy': 'Easy',
+        'difficulty.normal': 'Normal',
+        'difficulty.hard': 'Hard',
+        'difficulty.custom': 'Custom',
+
+        'physics.bounceEfficiency': 'Bounciness',
+        'physics.friction': 'Rolling (higher = less friction)',
+        'physics.stickyStrength': 'Dent grip (lower = stickier)',
+        'physics.stickyEscapeThreshold': 'Tilt needed to leave a dent',
+        'physics.cornerCaptureThreshold': 'Capture speed (px/s)',
+        'physics.ballRadius': 'Ball size (px)',
+
+        'input.none': 'Waiting for tilt input',
+        'input.motion': 'Motion sensor',
+        'input.orientation': 'Orientation sensor',
+        'input.keyboard': 'Arrow keys',
+        'input.touch': 'Touch joystick',
+        'input.mouse': 'Mouse',
+        'input.gamepad': 'Gamepad',
+        'input.stalled': 'Sensor stopped responding, using arrow keys',
+
+        'status.tapStart': 'Tap "Start Game" to begin',
+        'status.playing': {
+            one: '{level}: tilt to move a ball into {count} orange dent! (or drag on the board, use arrow keys or a gamepad) · {input}',
+            other: '{level}: tilt to move balls into {count} orange dents! (or drag on the board, use arrow keys or a gamepad) · {input}'
+        },
+        'status.paused': 'Paused',
+        'status.resumeSaved': 'Paused: {level} picks up where you left off',
+        'status.motionDenied': 'Motion permission denied',
+        'status.motionError': 'Error requesting motion permission',
+        'status.customThemeFailed': 'Could not load custom theme',
+        'status.customLevelFailed': 'Could not load custom level',
+        'level.untitled': 'Custom Level',
+        'status.replay': 'Replay: {level}',
+        'status.replayFinished': 'Replay finished',
+        'status.replayLoaded': 'Loaded replay for {level}',
+        'status.replayFailed': 'Could not load replay',
+        'status.win': '🎉 YOU WIN! All balls captured! 🎉',
+
+        'stats.line': 'Time {time} · Escapes {escapes} · Bounces {bounces}',
+        'stats.lineBest': 'New best time! Time {time} · Escapes {escapes} · Bounces {bounces}',
+
+        'announce.capture': 'Ball in a dent. {filled} of {required} filled',
+        'announce.escape': 'Ball escaped. {filled} of {required} filled',
+        'announce.win': '{level} complete in {time}',
+        'announce.winBest': '{level} complete in {time}, a new best time',
+
+        'update.available': 'A new version is ready.',
+        'update.reload': 'Reload',
+        'update.later': 'Later',
+
+        'editor.label': 'Level editor',
+        'editor.select': 'Select',
+        'editor.wall': 'Wall',
+        'editor.dent': 'Dent',
+        'editor.ball': 'Ball',
+        'editor.delete': 'Delete',
+        'editor.undo': 'Undo',
+        'editor.redo': 'Redo',
+        'editor.snap': 'Snap to grid',
+        'editor.target': 'Target',
+        'editor.radius': 'Size',
+        'editor.strength': 'Grip',
+        'editor.name': 'Level name',
+        'editor.required': 'Dents to fill',
+        'editor.ballCollisions': 'Balls knock into each other',
+        'editor.testPlay': 'Test Play',
+        'editor.stopTest': 'Back to Editing',
+        'editor.new': 'New',
+        'editor.untitled': 'My Level',
+        'editor.export': 'Export',
+        'editor.import': 'Import',
+        'editor.copyLink': 'Copy Link',
+        'editor.linkCopied': 'Link copied',
+        'editor.imported': 'Loaded {level}',
+        'editor.importFailed': 'Could not load that level file',
+        'editor.invalid': 'This level can\'t be played yet',
+        'editor.needsBall': 'This level can\'t be played yet: add at least one ball',
+        'editor.needsTarget': 'This level can\'t be played yet: add at least one target dent',
+        'editor.hint': 'Pick a tool, then tap or drag on the board. Drag a wall\'s end to reshape it.',
+        'editor.testWon': 'Level cleared! Tap "Back to Editing" to keep working on it.'
+    },
+    es: {
+        'languageName': 'Español',
+
+        'menu.level': 'Nivel',
+        'menu.start': 'Empezar',
+        'menu.nextLevel': 'Siguiente nivel',
+        'menu.calibrate': 'Calibrar inclinación',
+        'menu.sound': 'Sonido',
+        'menu.vibration': 'Vibración',
+        'menu.edit': 'Editar nivel',
+        'board.label': 'Tablero de juego',
+        'panel.done': 'Listo',
+
+        'replay.ghost': 'Fantasma',
+        'replay.watch': 'Ver repetición',
+        'replay.save': 'Guardar repetición',
+        'replay.load': 'Cargar repetición',
+
+        'leaderboard.title': 'Mejores tiempos',
+        'leaderboard.titleLevel': 'Mejores tiempos: {level}',
+        'leaderboard.titleLevelDifficulty': 'Mejores tiempos: {level} ({difficulty})',
+        'leaderboard.custom': 'Con física personalizada no se guardan tiempos',
+        'leaderboard.empty': 'Aún no hay tiempos',
+        'leaderboard.escapes': { one: '{count} escape', other: '{count} escapes' },
+        'leaderboard.bounces': { one: '{count} rebote', other: '{count} rebotes' },
+
+        'calibration.title': 'Calibrar inclinación',
+        'calibration.intro': 'Sujeta el teléfono como quieras jugar (de pie, inclinado o plano sobre una mesa) y toca Grabar.',
+        'calibration.record': 'Grabar inclinación de reposo',
+        'calibration.reset': 'Restablecer',
+        'calibration.sensitivity': 'Sensibilidad',
+        'calibration.smoothing': 'Suavizado',
+        'calibration.filterNone': 'Ninguno',
+        'calibration.filterLowPass': 'Paso bajo',
+        'calibration.filterOneEuro': 'One-euro (adaptativo)',
+        'calibration.deadZone': 'Zona muerta',
+        'calibration.pointerMode': 'Control con ratón',
+        'calibration.pointerDrag': 'Arrastrar como un joystick',
+        'calibration.pointerMouse': 'Seguir el cursor',
+        'calibration.resetDone': 'Calibración restablecida a un teléfono plano.',
+        'calibration.needsMotion': 'Hace falta acceso al movimiento para calibrar.',
+        'calibration.holdStill': 'No te muevas...',
+        'calibration.recorded': 'Inclinación de reposo grabada. Sujetando el teléfono así, las bolas se quedan quietas.',
+        'calibration.noSensor': 'Este dispositivo no tiene sensor de movimiento.',
+
+        'sound.title': 'Sonido',
+        'sound.master': 'Volumen',
+        'sound.sfx': 'Efectos de sonido',
+        'sound.music': 'Música',
+        'sound.mute': 'Silenciar',
+        'sound.unmute': 'Activar sonido',
+
+        'pause.button': 'Pausa',
+        'pause.title': 'En pausa',
+        'pause.message': 'El tablero está congelado. Pulsa P o Escape, o toca Continuar, cuando quieras.',
+        'pause.resume': 'Continuar',
+        'pause.restart': 'Reiniciar',
+
+        'settings.open': 'Ajustes',
+        'settings.title': 'Ajustes',
+        'settings.difficulty': 'Dificultad',
+        'settings.theme': 'Tema',
+        'settings.themeAuto': 'Como el sistema (claro u oscuro)',
+        'settings.language': 'Idioma',
+        'settings.languageAuto': 'Como el dispositivo',
+        'settings.reducedMotion': 'Reducir movimiento',
+        'settings.highContrast': 'Alto contraste',
+        'settings.largeBalls': 'Bolas más grandes',
+        'settings.audioGuidance': 'Guía sonora (un tono que sube cuando una bola se acerca a un hueco)',
+        'settings.advanced': 'Avanzado',
+        'settings.share': 'Copiar enlace',
+        'settings.linkCopied': 'Enlace copiado',
+
+        'difficulty.easy': 'Fácil',
+        'difficulty.normal': 'Normal',
+        'difficulty.hard': 'Difícil',
+        'difficulty.custom': 'Personalizada',
+
+        'physics.bounceEfficiency': 'Rebote',
+        'physics.friction': 'Rodadura (más alto = menos fricción)',
+        'physics.stickyStrength': 'Agarre de los huecos (más bajo = más pegajoso)',
+        'physics.stickyEscapeThreshold': 'Inclinación para salir de un hueco',
+        'physics.cornerCaptureThreshold': 'Velocidad de captura (px/s)',
+        'physics.ballRadius': 'Tamaño de la bola (px)',
+
+        'input.none': 'Esperando inclinación',
+        'input.motion': 'Sensor de movimiento',
+        'input.orientation': 'Sensor de orientación',
+        'input.keyboard': 'Flechas',
+        'input.touch': 'Joystick táctil',
+        'input.mouse': 'Ratón',
+        'input.gamepad': 'Mando',
+        'input.stalled': 'El sensor dejó de responder, usando las flechas',
+
+        'status.tapStart': 'Toca «Empezar» para comenzar',
+        'status.playing': {
+            one: '{level}: ¡inclina para llevar una bola a {count} hueco naranja! (o arrastra en el tablero, usa las flechas o un mando) · {input}',
+            other: '{level}: ¡inclina para llevar las bolas a {count} huecos naranjas! (o arrastra en el tablero, usa las flechas o un mando) · {input}'
+        },
+        'status.paused': 'En pausa',
+        'status.resumeSaved': 'En pausa: {level} sigue donde lo dejaste',
+        'status.motionDenied': 'Permiso de movimiento denegado',
+        'status.motionError': 'Error al pedir permiso de movimiento',
+        'status.customThemeFailed': 'No se pudo cargar el tema personalizado',
+        'status.customLevelFailed': 'No se pudo cargar el nivel personalizado',
+        'level.untitled': 'Nivel personalizado',
+        'status.replay': 'Repetición: {level}',
+        'status.replayFinished': 'Repetición terminada',
+        'status.replayLoaded': 'Repetición de {level} cargada',
+        'status.replayFailed': 'No se pudo cargar la repetición',
+        'status.win': '🎉 ¡HAS GANADO! ¡Todas las bolas capturadas! 🎉',
+
+        'stats.line': 'Tiempo {time} · Escapes {escapes} · Rebotes {bounces}',
+        'stats.lineBest': '¡Nuevo mejor tiempo! Tiempo {time} · Escapes {escapes} · Rebotes {bounces}',
+
+        'announce.capture': 'Bola en un hueco. {filled} de {required} ocupados',
+        'announce.escape': 'Se escapó una bola. {filled} de {required} ocupados',
+        'announce.win': '{level} completado en {time}',
+        'announce.winBest': '{level} completado en {time}, nuevo mejor tiempo',
+
+        'update.available': 'Hay una versión nueva.',
+        'update.reload': 'Recargar',
+        'update.later': 'Más tarde',
+
+        'editor.label': 'Editor de niveles',
+        'editor.select': 'Seleccionar',
+        'editor.wall': 'Pared',
+        'editor.dent': 'Hueco',
+        'editor.ball': 'Bola',
+        'editor.delete': 'Borrar',
+        'editor.undo': 'Deshacer',
+        'editor.redo': 'Rehacer',
+        'editor.snap': 'Ajustar a la cuadrícula',
+        'editor.target': 'Objetivo',
+        'editor.radius': 'Tamaño',
+        'editor.strength': 'Agarre',
+        'editor.name': 'Nombre del nivel',
+        'editor.required': 'Huecos que llenar',
+        'editor.ballCollisions': 'Las bolas chocan entre sí',
+        'editor.testPlay': 'Probar',
+        'editor.stopTest': 'Volver a editar',
+        'editor.new': 'Nuevo',
+        'editor.untitled': 'Mi nivel',
+        'editor.export': 'Exportar',
+        'editor.import': 'Importar',
+        'editor.copyLink': 'Copiar enlace',
+        'editor.linkCopied': 'Enlace copiado',
+        'editor.imported': 'Se cargó {level}',
+        'editor.importFailed': 'No se pudo cargar ese archivo de nivel',
+        'editor.invalid': 'Este nivel aún no se puede jugar',
+        'editor.needsBall': 'Este nivel aún no se puede jugar: añade al menos una bola',
+        'editor.needsTarget': 'Este nivel aún no se puede jugar: añade al menos un hueco objetivo',
+        'editor.hint': 'Elige una herramienta y toca o arrastra en el tablero. Arrastra el extremo de una pared para cambiarla.',
+        'editor.testWon': '¡Nivel superado! Toca «Volver a editar» para seguir con él.'
+    }
+};
+
+let localeSettings = {
+    locale: 'auto' // A locale in MESSAGES, or 'auto' to follow the browser's languages
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+// The first of the preferred languages (BCP 47 tags, best first) that has a
+// catalog, trying "pt-BR" before "pt"
+function detectLocale(languages) {
+    for (let language of languages || []) {
+        if (!language) continue;
+        const tag = language.toLowerCase();
+        const match = Object.keys(MESSAGES).find(locale => locale.toLowerCase() === tag)
+            || Object.keys(MESSAGES).find(locale => locale.toLowerCase() === tag.split('-')[0]);
+        if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function loadLocaleSettings() {
+    localeSettings = Object.assign({}, localeSettings, readStorage(LOCALE_STORAGE_KEY, {}));
+}
+
+function setLocaleChoice(locale) {
+    localeSettings.locale = locale;
+    writeStorage(LOCALE_STORAGE_KEY, localeSettings);
+}
+
+// Work out currentLocale from the saved choice and the browser's languages
+function resolveLocale() {
+    if (localeSettings.locale !== 'auto' && MESSAGES[localeSettings.locale]) {
+        currentLocale = localeSettings.locale;
+    } else {
+        const languages = typeof navigator !== 'undefined'
+            ? (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language])
+            : [];
+        currentLocale = detectLocale(languages);
+    }
+    return currentLocale;
+}
+
+// Pick the plural form of a message for a count, as the locale's rules say
+function selectPluralForm(forms, count, locale) {
+    const category = typeof Intl !== 'undefined' && Intl.PluralRules
+        ? new Intl.PluralRules(locale).select(count)
+        : (count === 1 ? 'one' : 'other');
+    return forms[category] !== undefined ? forms[category] : forms.other;
+}
+
+// The message for a key in a locale, with plurals chosen by params.count and
+// placeholders filled in. Unknown keys come back as the key itself.
+function formatMessage(locale, key, params = {}) {
+    const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+    let message = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        message = selectPluralForm(message, params.count, locale);
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] !== undefined ? String(params[name]) : placeholder);
+}
+
+function translate(key, params = {}) {
+    return formatMessage(currentLocale, key, params);
+}
+
+// Show a message in an element and remember which one, so switching
+// language can redraw it (see translateDocument)
+function setLocalizedText(element, key, params = {}) {
+    element.dataset.i18n = key;
+    element.dataset.i18nParams = JSON.stringify(params);
+    element.textContent = translate(key, params);
+}
+
+// Redraw every marked element in the current locale
+function translateDocument(root) {
+    for (let element of root.querySelectorAll('[data-i18n]')) {
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        element.textContent = translate(element.dataset.i18n, params);
+    }
+    for (let element of root.querySelectorAll('[data-i18n-label]')) {
+        element.setAttribute('aria-label', translate(element.dataset.i18nLabel));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MESSAGES, detectLocale, formatMessage };
+}
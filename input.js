@@ -0,0 +1,122 @@
+// Tilt input pipeline: sensor readings, smoothing, dead zone and stall detection
+//
+// Raw readings come from devicemotion (accelerationIncludingGravity) or, on
+// devices without it, from deviceorientation beta/gamma angles converted into
+// the same device-axis gravity reading. Either way they go through
+// mapDeviceTilt() (tilt.js), then a smoothing filter, then a dead zone.
+
+const STANDARD_GRAVITY = 9.81;
+const SENSOR_STALL_TIMEOUT = 1000; // Milliseconds without a reading before a sensor counts as stalled
+const INPUT_STORAGE_KEY = 'input';
+
+let inputSettings = {
+    filter: 'oneEuro', // 'none', 'lowPass' or 'oneEuro'
+    lowPassCutoff: 5, // Hz
+    oneEuroMinCutoff: 1, // Hz, smoothing when the phone is held still
+    oneEuroBeta: 0.3, // How quickly the one-euro filter opens up for fast tilts
+    deadZone: 0.05, // Tilt below this magnitude is treated as none
+    pointerMode: 'drag' // How the mouse steers: 'drag' like a joystick or 'mouse' to follow the cursor (pointer.js)
+};
+
+function loadInputSettings() {
+    inputSettings = Object.assign({}, inputSettings, readStorage(INPUT_STORAGE_KEY, {}));
+}
+
+function saveInputSettings() {
+    writeStorage(INPUT_STORAGE_KEY, inputSettings);
+}
+
+// Raw device-axis gravity reading from a devicemotion event, or null if it has none
+function readMotionEvent(event) {
+    const accel = event.accelerationIncludingGravity;
+    if (!accel || accel.x === null || accel.y === null) return null;
+    return { x: accel.x, y: accel.y };
+}
+
+// Convert deviceorientation angles into the reading devicemotion would give
+// for the same pose, so calibration and orientation mapping apply unchanged
+function readOrientationEvent(event) {
+    if (event.beta === null || event.gamma === null || event.beta === undefined || event.gamma === undefined) {
+        return null;
+    }
+    const beta = event.beta * Math.PI / 180;
+    const gamma = event.gamma * Math.PI / 180;
+    return {
+        x: -STANDARD_GRAVITY * Math.cos(beta) * Math.sin(gamma),
+        y: STANDARD_GRAVITY * Math.sin(beta)
+    };
+}
+
+// Smoothing factor for a first-order low-pass filter at the given cutoff
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+function createLowPassFilter(cutoff) {
+    let value = null;
+    let lastTime = null;
+
+    return function(sample, time) {
+        if (value === null) {
+            value = sample;
+        } else {
+            const dt = Math.max((time - lastTime) / 1000, 0.001);
+            value += smoothingFactor(cutoff, dt) * (sample - value);
+        }
+        lastTime = time;
+        return value;
+    };
+}
+
+// One-euro filter (Casiez et al.): heavy smoothing when still, little lag when moving fast
+function createOneEuroFilter(minCutoff, beta, derivativeCutoff = 1) {
+    let value = null;
+    let derivative = 0;
+    let lastTime = null;
+
+    return function(sample, time) {
+        if (value === null) {
+            value = sample;
+            lastTime = time;
+            return value;
+        }
+
+        const dt = Math.max((time - lastTime) / 1000, 0.001);
+        lastTime = time;
+
+        derivative += smoothingFactor(derivativeCutoff, dt) * ((sample - value) / dt - derivative);
+        const cutoff = minCutoff + beta * Math.abs(derivative);
+        value += smoothingFactor(cutoff, dt) * (sample - value);
+        return value;
+    };
+}
+
+// Build a two-axis filter from the current settings
+function createTiltFilter() {
+    const makeAxisFilter = () => {
+        switch (inputSettings.filter) {
+            case 'lowPass':
+                return createLowPassFilter(inputSettings.lowPassCutoff);
+            case 'oneEuro':
+                return createOneEuroFilter(inputSettings.oneEuroMinCutoff, inputSettings.oneEuroBeta);
+            default:
+                return sample => sample;
+        }
+    };
+    const filterX = makeAxisFilter();
+    const filterY = makeAxisFilter();
+
+    return function(tilt, time) {
+        return { x: filterX(tilt.x, time), y: filterY(tilt.y, time) };
+    };
+}
+
+// Radial dead zone that stays continuous at its edge
+function applyDeadZone(tilt, deadZone) {
+    const magnitude = Math.sqrt(tilt.x * tilt.x + tilt.y * tilt.y);
+    if (magnitude <= deadZone) return { x: 0, y: 0 };
+
+    const scale = (magnitude - deadZone) / magnitude;
+    return { x: tilt.x * scale, y: tilt.y * scale };
+}
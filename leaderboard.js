@@ -0,0 +1,40 @@
+// Best times per level, kept in localStorage
+//
+// Stored as { [levelId]: [{ time, escapes, bounces, date }] }, each list
+// sorted fastest first and trimmed to LEADERBOARD_SIZE entries. Ties on time
+// go to the run with fewer escapes, then fewer bounces.
+
+const LEADERBOARD_SIZE = 5;
+const LEADERBOARD_KEY = 'leaderboard';
+
+function getBestTimes(levelId) {
+    const leaderboard = readStorage(LEADERBOARD_KEY, {});
+    return leaderboard[levelId] || [];
+}
+
+// Add a finished run to its level's table. Returns its 1-based rank, or 0 if it didn't place.
+function recordResult(levelId, result) {
+    const leaderboard = readStorage(LEADERBOARD_KEY, {});
+    const entry = {
+        time: result.time,
+        escapes: result.escapes,
+        bounces: result.bounces,
+        date: new Date().toISOString()
+    };
+    const entries = (leaderboard[levelId] || []).concat(entry);
+
+    entries.sort((a, b) => a.time - b.time || a.escapes - b.escapes || a.bounces - b.bounces);
+    leaderboard[levelId] = entries.slice(0, LEADERBOARD_SIZE);
+    writeStorage(LEADERBOARD_KEY, leaderboard);
+
+    return leaderboard[levelId].indexOf(entry) + 1;
+}
+
+// Format seconds as m:ss.cc
+function formatTime(seconds) {
+    // Round to hundredths before splitting, so 59.999 becomes 1:00.00 rather than 0:60.00
+    const hundredths = Math.round(seconds * 100);
+    const minutes = Math.floor(hundredths / 6000);
+    const rest = ((hundredths - minutes * 6000) / 100).toFixed(2).padStart(5, '0');
+    return `${minutes}:${rest}`;
+}
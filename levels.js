@@ -0,0 +1,311 @@
+// Level definitions
+//
+// A level is plain JSON. Every position is a fraction of the board size
+// (0 = left/top edge, 1 = right/bottom edge) so layouts scale with the canvas.
+//
+// {
+//     "id": "four-corners",
+//     "name": "Four Corners",
+//     "walls": [ { "x1": 0.5, "y1": 0, "x2": 0.5, "y2": 1 } ],   // wall segments or polygons
+//     "dents": [ { "x": 0, "y": 0, "target": true } ],            // sticky spots; targets count toward the win
+//     "balls": [ { "x": 0.25, "y": 0.25 } ],                      // ball spawn points
+//     "required": 4,                                              // optional, defaults to the number of targets
+//     "ballCollisions": false                                     // optional, lets balls knock into each other
+// }
+//
+// A wall is either a segment at any angle, which may set "thickness" in world
+// pixels (the board is 600 of them across its shorter side, whatever the
+// screen; defaults to WALL_THICKNESS), or a solid polygon:
+//     { "points": [ { "x": 0.4, "y": 0.6 }, { "x": 0.6, "y": 0.6 }, { "x": 0.5, "y": 0.8 } ] }
+// The outer edges of the board are always solid and never need to be listed.
+//
+// A dent may set its "radius" in world pixels (defaults to STICKY_RADIUS in
+// world.js) and a "strength" that multiplies the tilt needed to climb out of
+// it (defaults to 1; 2 holds twice as hard).
+
+const WALL_THICKNESS = 4; // Default thickness of level walls, in world pixels
+
+const LEVELS = [
+    {
+        id: 'two-halves',
+        name: 'Two Halves',
+        walls: [
+            { x1: 0.5, y1: 0, x2: 0.5, y2: 1 }
+        ],
+        dents: [
+            { x: 0, y: 1, target: true },
+            { x: 1, y: 1, target: true }
+        ],
+        balls: [
+            { x: 0.25, y: 0.5 },
+            { x: 0.75, y: 0.5 }
+        ]
+    },
+    {
+        id: 'four-corners',
+        name: 'Four Corners',
+        walls: [
+            { x1: 0.5, y1: 0, x2: 0.5, y2: 1 },
+            { x1: 0, y1: 0.5, x2: 1, y2: 0.5 }
+        ],
+        dents: [
+            { x: 0.5, y: 0.5, target: false },
+            { x: 0, y: 0, target: true },
+            { x: 1, y: 0, target: true },
+            { x: 0, y: 1, target: true },
+            { x: 1, y: 1, target: true }
+        ],
+        balls: [
+            { x: 0.25, y: 0.25 },
+            { x: 0.75, y: 0.25 },
+            { x: 0.25, y: 0.75 },
+            { x: 0.75, y: 0.75 }
+        ]
+    },
+    {
+        id: 'pockets',
+        name: 'Pockets',
+        walls: [
+            { x1: 0.5, y1: 0, x2: 0.5, y2: 1 },
+            { x1: 0, y1: 0.5, x2: 1, y2: 0.5 },
+            // Short stubs that turn each target into a pocket off the main room
+            { x1: 0.15, y1: 0, x2: 0.15, y2: 0.1 },
+            { x1: 0.9, y1: 0.15, x2: 1, y2: 0.15 },
+            { x1: 0.85, y1: 0.9, x2: 0.85, y2: 1 },
+            { x1: 0, y1: 0.85, x2: 0.1, y2: 0.85 }
+        ],
+        dents: [
+            { x: 0.05, y: 0, target: true },
+            { x: 1, y: 0.05, target: true },
+            { x: 0.95, y: 1, target: true },
+            { x: 0, y: 0.95, target: true }
+        ],
+        balls: [
+            { x: 0.3, y: 0.3 },
+            { x: 0.7, y: 0.3 },
+            { x: 0.3, y: 0.7 },
+            { x: 0.7, y: 0.7 }
+        ]
+    },
+    {
+        id: 'pinwheel',
+        name: 'Pinwheel',
+        walls: [
+            { x1: 0.5, y1: 0, x2: 0.5, y2: 1 },
+            { x1: 0, y1: 0.5, x2: 1, y2: 0.5 }
+        ],
+        dents: [
+            { x: 0.5, y: 0.5, target: false },
+            { x: 0.25, y: 0, target: true },
+            { x: 1, y: 0.25, target: true },
+            { x: 0.75, y: 1, target: true },
+            { x: 0, y: 0.75, target: true }
+        ],
+        balls: [
+            { x: 0.25, y: 0.25 },
+            { x: 0.75, y: 0.25 },
+            { x: 0.25, y: 0.75 },
+            { x: 0.75, y: 0.75 }
+        ]
+    },
+    {
+        id: 'three-lanes',
+        name: 'Three Lanes',
+        walls: [
+            { x1: 1 / 3, y1: 0, x2: 1 / 3, y2: 1 },
+            { x1: 2 / 3, y1: 0, x2: 2 / 3, y2: 1 },
+            // Ledges that catch a ball falling down the middle lane
+            { x1: 0.4, y1: 0.55, x2: 0.5, y2: 0.55 },
+            { x1: 0.5, y1: 0.35, x2: 0.6, y2: 0.35 }
+        ],
+        dents: [
+            { x: 0, y: 0, target: true },
+            { x: 0.5, y: 1, target: true },
+            { x: 1, y: 0, target: true },
+            { x: 0.5, y: 0, target: false }
+        ],
+        balls: [
+            { x: 1 / 6, y: 0.5 },
+            { x: 0.5, y: 0.5 },
+            { x: 5 / 6, y: 0.5 }
+        ]
+    },
+    {
+        id: 'open-room',
+        name: 'Open Room',
+        ballCollisions: true,
+        walls: [],
+        dents: [
+            { x: 0, y: 0, target: true },
+            { x: 1, y: 0, target: true },
+            { x: 0, y: 1, target: true },
+            { x: 1, y: 1, target: true }
+        ],
+        balls: [
+            { x: 0.4, y: 0.4 },
+            { x: 0.6, y: 0.4 },
+            { x: 0.4, y: 0.6 },
+            { x: 0.6, y: 0.6 }
+        ]
+    },
+    {
+        id: 'ramps',
+        name: 'Ramps',
+        ballCollisions: true,
+        walls: [
+            // Half divider between the two upper rooms
+            { x1: 0.5, y1: 0, x2: 0.5, y2: 0.3 },
+            // Angled ramps that funnel balls towards the middle
+            { x1: 0.05, y1: 0.35, x2: 0.4, y2: 0.5 },
+            { x1: 0.95, y1: 0.35, x2: 0.6, y2: 0.5 },
+            // Diamond that splits the lower room
+            { points: [
+                { x: 0.5, y: 0.62 },
+                { x: 0.58, y: 0.72 },
+                { x: 0.5, y: 0.82 },
+                { x: 0.42, y: 0.72 }
+            ] }
+        ],
+        dents: [
+            { x: 0, y: 1, target: true },
+            { x: 0.5, y: 1, target: true },
+            { x: 1, y: 1, target: true },
+            { x: 0.5, y: 0.5, target: false }
+        ],
+        balls: [
+            { x: 0.25, y: 0.15 },
+            { x: 0.75, y: 0.15 },
+            { x: 0.5, y: 0.4 }
+        ]
+    },
+    {
+        id: 'bottom-row',
+        name: 'Bottom Row',
+        ballCollisions: true,
+        walls: [
+            // Low stubs between the targets so a settled ball isn't easily knocked out
+            { x1: 0.35, y1: 0.92, x2: 0.35, y2: 1 },
+            { x1: 0.65, y1: 0.92, x2: 0.65, y2: 1 }
+        ],
+        dents: [
+            { x: 0.2, y: 1, target: true },
+            { x: 0.5, y: 1, target: true },
+            { x: 0.8, y: 1, target: true },
+            { x: 0.5, y: 0.5, target: false }
+        ],
+        balls: [
+            { x: 0.3, y: 0.3 },
+            { x: 0.5, y: 0.3 },
+            { x: 0.7, y: 0.3 },
+            { x: 0.5, y: 0.15 }
+        ]
+    }
+];
+
+// Validate a level (object or JSON text) and return a normalized copy.
+// Throws an Error describing the first problem found.
+function parseLevel(data) {
+    const level = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!level || typeof level !== 'object') {
+        throw new Error('Level must be an object');
+    }
+
+    const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+    const checkPoint = (point, what) => {
+        if (!point || !isFraction(point.x) || !isFraction(point.y)) {
+            throw new Error(`${what} needs x and y between 0 and 1`);
+        }
+    };
+
+    const walls = (level.walls || []).map((wall, i) => {
+        if (wall.points) {
+            if (!Array.isArray(wall.points) || wall.points.length < 3) {
+                throw new Error(`Wall ${i} polygon needs at least 3 points`);
+            }
+            wall.points.forEach((point, j) => checkPoint(point, `Wall ${i} point ${j}`));
+            return { points: wall.points.map(point => ({ x: point.x, y: point.y })) };
+        }
+
+        checkPoint({ x: wall.x1, y: wall.y1 }, `Wall ${i} start`);
+        checkPoint({ x: wall.x2, y: wall.y2 }, `Wall ${i} end`);
+        return {
+            x1: wall.x1,
+            y1: wall.y1,
+            x2: wall.x2,
+            y2: wall.y2,
+            thickness: wall.thickness || WALL_THICKNESS
+        };
+    });
+
+    const dents = (level.dents || []).map((dent, i) => {
+        checkPoint(dent, `Dent ${i}`);
+        const parsed = { x: dent.x, y: dent.y, target: dent.target !== false };
+        if (dent.radius !== undefined) {
+            if (typeof dent.radius !== 'number' || !(dent.radius > 0)) {
+                throw new Error(`Dent ${i} radius must be a number above 0`);
+            }
+            parsed.radius = dent.radius;
+        }
+        if (dent.strength !== undefined) {
+            if (typeof dent.strength !== 'number' || !(dent.strength >= 0)) {
+                throw new Error(`Dent ${i} strength must be a number of 0 or more`);
+            }
+            parsed.strength = dent.strength;
+        }
+        return parsed;
+    });
+
+    const balls = (level.balls || []).map((ball, i) => {
+        checkPoint(ball, `Ball ${i}`);
+        return { x: ball.x, y: ball.y };
+    });
+    if (balls.length === 0) {
+        throw new Error('Level needs at least one ball');
+    }
+
+    const targetCount = dents.filter(dent => dent.target).length;
+    const required = level.required !== undefined ? level.required : targetCount;
+    if (!Number.isInteger(required) || required < 1 || required > targetCount || required > balls.length) {
+        throw new Error('Level "required" must be between 1 and the number of target dents and balls');
+    }
+
+    return {
+        id: level.id || 'custom',
+        name: level.name || '', // Shown as the 'level.untitled' message when empty
+        walls,
+        dents,
+        balls,
+        required,
+        ballCollisions: level.ballCollisions === true
+    };
+}
+
+// Pack a level into text that fits in a URL (base64url of its JSON), and back
+function encodeLevel(level) {
+    const bytes = new TextEncoder().encode(JSON.stringify(level));
+    let binary = '';
+    for (let byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeLevel(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return parseLevel(new TextDecoder().decode(bytes));
+}
+
+// Load a level from a JSON file served alongside the game
+async function fetchLevel(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load level ${url}: ${response.status}`);
+    }
+    return parseLevel(await response.text());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LEVELS, WALL_THICKNESS, parseLevel, encodeLevel, decodeLevel, fetchLevel };
+}
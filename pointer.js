@@ -0,0 +1,132 @@
+// Touch and mouse tilt emulation using Pointer Events on the board
+//
+// Two ways to steer without a motion sensor:
+//   drag:  press anywhere and drag; the offset from the press point tilts the
+//          board like a virtual joystick, proportionally up to its rim
+//   mouse: on desktop the cursor's offset from the board center tilts it,
+//          with no button held
+// Touch and pen always use drag. The mouse uses whichever mode is set in
+// inputSettings.pointerMode (input.js).
+
+const POINTER_JOYSTICK_RADIUS = 60; // Drag distance for full tilt, in CSS pixels
+const POINTER_MAX_TILT = 1.5; // Tilt at the joystick rim or the board edge
+
+let pointerState = {
+    dragging: false,
+    pointerId: null,
+    originX: 0,
+    originY: 0,
+    x: 0,
+    y: 0
+};
+
+// Scale a drag offset to a tilt, clamped to the joystick rim
+function pointerTiltFromDrag(dx, dy) {
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const scale = distance > POINTER_JOYSTICK_RADIUS ? POINTER_JOYSTICK_RADIUS / distance : 1;
+    return {
+        x: dx * scale / POINTER_JOYSTICK_RADIUS * POINTER_MAX_TILT,
+        y: dy * scale / POINTER_JOYSTICK_RADIUS * POINTER_MAX_TILT
+    };
+}
+
+// Tilt towards the cursor: none at the board center, full at its edges
+function pointerTiltFromPosition(x, y, width, height) {
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    return {
+        x: clamp((x - width / 2) / (width / 2)) * POINTER_MAX_TILT,
+        y: clamp((y - height / 2) / (height / 2)) * POINTER_MAX_TILT
+    };
+}
+
+// Where a pointer event landed on the canvas, and the canvas size, in CSS pixels
+function pointerCanvasPosition(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: event.clientX - rect.left,
+        y: event.clientY - rect.top,
+        width: rect.width,
+        height: rect.height
+    };
+}
+
+// Listen for pointer input on the canvas. onTilt(tilt, kind) is called with
+// the emulated tilt and 'touch' or 'mouse', or with null when the pointer lets go.
+function attachPointerTilt(canvas, onTilt) {
+    const followsCursor = event => event.pointerType === 'mouse' && inputSettings.pointerMode === 'mouse';
+
+    canvas.addEventListener('pointerdown', event => {
+        if (followsCursor(event) || pointerState.dragging) return;
+
+        const position = pointerCanvasPosition(canvas, event);
+        pointerState = {
+            dragging: true,
+            pointerId: event.pointerId,
+            originX: position.x,
+            originY: position.y,
+            x: position.x,
+            y: position.y
+        };
+        if (canvas.setPointerCapture) canvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+        onTilt({ x: 0, y: 0 }, event.pointerType === 'mouse' ? 'mouse' : 'touch');
+    });
+
+    canvas.addEventListener('pointermove', event => {
+        const position = pointerCanvasPosition(canvas, event);
+
+        if (followsCursor(event)) {
+            onTilt(pointerTiltFromPosition(position.x, position.y, position.width, position.height), 'mouse');
+            return;
+        }
+        if (!pointerState.dragging || event.pointerId !== pointerState.pointerId) return;
+
+        pointerState.x = position.x;
+        pointerState.y = position.y;
+        onTilt(
+            pointerTiltFromDrag(position.x - pointerState.originX, position.y - pointerState.originY),
+            event.pointerType === 'mouse' ? 'mouse' : 'touch'
+        );
+    });
+
+    const release = event => {
+        if (followsCursor(event)) {
+            if (event.type === 'pointerleave') onTilt(null, 'mouse');
+            return;
+        }
+        if (!pointerState.dragging || event.pointerId !== pointerState.pointerId) return;
+
+        pointerState.dragging = false;
+        pointerState.pointerId = null;
+        onTilt(null, event.pointerType === 'mouse' ? 'mouse' : 'touch');
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+    canvas.addEventListener('pointerleave', release);
+}
+
+// Draw the virtual joystick under the player's finger while dragging. The
+// context must be set up to draw in CSS pixels.
+function drawPointerJoystick(context) {
+    if (!pointerState.dragging) return;
+
+    const dx = pointerState.x - pointerState.originX;
+    const dy = pointerState.y - pointerState.originY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const scale = distance > POINTER_JOYSTICK_RADIUS ? POINTER_JOYSTICK_RADIUS / distance : 1;
+
+    context.save();
+    context.beginPath();
+    context.arc(pointerState.originX, pointerState.originY, POINTER_JOYSTICK_RADIUS, 0, Math.PI * 2);
+    context.fillStyle = 'rgba(33, 150, 243, 0.1)';
+    context.fill();
+    context.strokeStyle = 'rgba(33, 150, 243, 0.5)';
+    context.lineWidth = 2;
+    context.stroke();
+
+    context.beginPath();
+    context.arc(pointerState.originX + dx * scale, pointerState.originY + dy * scale, 18, 0, Math.PI * 2);
+    context.fillStyle = 'rgba(33, 150, 243, 0.5)';
+    context.fill();
+    context.restore();
+}
@@ -0,0 +1,45 @@
+// Installable app support: registers the service worker (sw.js) and reports
+// when a new version of the game has downloaded and is waiting to take over
+
+// Calls onUpdateReady(worker) whenever a new version is waiting. Does nothing
+// in browsers without service workers or when the page is opened as a file.
+async function registerServiceWorker(onUpdateReady) {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register('sw.js', { updateViaCache: 'none' });
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return;
+    }
+
+    // The very first install has no older version to replace, so it isn't an update
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        onUpdateReady(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                onUpdateReady(worker);
+            }
+        });
+    });
+
+    // Phones leave the game open for days; look for a new version on every return
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) registration.update().catch(() => {});
+    });
+}
+
+// Let the waiting version take over, then reload onto it
+function applyUpdate(worker) {
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+    worker.postMessage({ type: 'skipWaiting' });
+}
@@ -0,0 +1,142 @@
+// Input recording and deterministic replay
+//
+// The world only changes through step(input, dt), so a run is fully described
+// by its level, board size, seed, timestep and the input given at every step.
+// Replaying those inputs into a fresh world reproduces the run exactly.
+//
+// Recording format (plain JSON):
+// {
+//     "version": 1,
+//     "level": { ... },          // the parsed level, so custom levels replay too
+//     "width": 600,
+//     "height": 600,
+//     "seed": 123456,
+//     "dt": 0.008333,            // seconds per step
+//     "physics": { ... },        // world.physics the run used (older recordings use the defaults)
+//     "inputs": [[x, y, count]]  // tilt held for `count` consecutive steps
+// }
+
+const REPLAY_VERSION = 1;
+const REPLAY_TIME_TOLERANCE = 1e-9; // Seconds; absorbs rounding when adding up timesteps
+const REPLAY_MIN_DT = 0.001; // Shortest timestep accepted, in seconds; tinier ones would take millions of steps a frame
+
+// Under Node the world and level helpers come from require(); in the browser
+// world.js and levels.js have already defined them as globals
+const ReplayDeps = typeof module !== 'undefined' && module.exports
+    ? Object.assign({}, require('./world.js'), require('./levels.js'))
+    : window;
+
+function createRecorder(level, width, height, dt, seed, physics) {
+    const recording = {
+        version: REPLAY_VERSION,
+        level,
+        width,
+        height,
+        seed,
+        dt,
+        physics: Object.assign({}, physics),
+        inputs: []
+    };
+
+    return {
+        recording,
+
+        // Call once per world step with the input that step used
+        record(input) {
+            const last = recording.inputs[recording.inputs.length - 1];
+            if (last && last[0] === input.x && last[1] === input.y) {
+                last[2]++;
+            } else {
+                recording.inputs.push([input.x, input.y, 1]);
+            }
+        },
+
+        get stepCount() {
+            return recording.inputs.reduce((total, run) => total + run[2], 0);
+        }
+    };
+}
+
+// Build a world from a recording and feed it the recorded inputs one step at a time
+function createReplay(recording) {
+    const world = ReplayDeps.createWorld(recording.level, recording.width, recording.height, {
+        seed: recording.seed,
+        physics: recording.physics
+    });
+    let runIndex = 0;
+    let stepsIntoRun = 0;
+    let pendingTime = 0; // Seconds of play owed to advance() but not yet stepped
+
+    const replay = {
+        world,
+        recording,
+
+        // Advance one recorded step; returns false once the recording is used up
+        step() {
+            if (runIndex >= recording.inputs.length) return false;
+
+            const [x, y, count] = recording.inputs[runIndex];
+            world.step({ x, y }, recording.dt);
+            stepsIntoRun++;
+            if (stepsIntoRun >= count) {
+                runIndex++;
+                stepsIntoRun = 0;
+            }
+            return true;
+        },
+
+        // Advance by elapsed seconds of play, taking as many recorded steps
+        // as fit, so a recording plays at its own speed whatever the caller's
+        // timestep. Returns false once the recording is used up.
+        advance(elapsed) {
+            pendingTime += elapsed;
+            while (pendingTime >= recording.dt - REPLAY_TIME_TOLERANCE) {
+                pendingTime -= recording.dt;
+                if (!replay.step()) return false;
+            }
+            return runIndex < recording.inputs.length;
+        }
+    };
+    return replay;
+}
+
+// Validate a recording (object or JSON text). Throws an Error describing the first problem found.
+function parseReplay(data) {
+    const recording = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!recording || recording.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+    if (!(recording.width > 0) || !(recording.height > 0) || !(recording.dt >= REPLAY_MIN_DT)) {
+        throw new Error('Replay needs a board size and timestep');
+    }
+    if (recording.physics !== undefined && (typeof recording.physics !== 'object' || recording.physics === null)) {
+        throw new Error('Replay physics must be an object');
+    }
+    // Values outside the settings' ranges (a ball radius of 0, say) could stall the world
+    for (let key of Object.keys(recording.physics || {})) {
+        if (ReplayDeps.clampPhysicsValue(key, recording.physics[key]) !== recording.physics[key]) {
+            throw new Error(`Replay physics "${key}" is unknown or out of range`);
+        }
+    }
+    // A finite tilt held for a whole number of steps; any other count never runs out
+    const isInputRun = run => Array.isArray(run) && run.length === 3
+        && Number.isFinite(run[0]) && Number.isFinite(run[1]) && Number.isInteger(run[2]) && run[2] >= 1;
+    if (!Array.isArray(recording.inputs) || !recording.inputs.every(isInputRun)) {
+        throw new Error('Replay inputs must be [x, y, count] entries');
+    }
+
+    return {
+        version: recording.version,
+        level: ReplayDeps.parseLevel(recording.level),
+        width: recording.width,
+        height: recording.height,
+        seed: recording.seed,
+        dt: recording.dt,
+        physics: recording.physics,
+        inputs: recording.inputs
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPLAY_VERSION, createRecorder, createReplay, parseReplay };
+}
@@ -0,0 +1,76 @@
+// Difficulty presets and physics tuning, saved on the device and shareable by URL
+//
+// physicsSettings.values holds one value for every key of DEFAULT_PHYSICS
+// (world.js). Picking a preset copies its values in; moving a slider switches
+// the preset to 'custom'. A link can carry settings as query parameters, e.g.
+//     index.html?difficulty=hard
+//     index.html?friction=0.5&ballRadius=18
+// and those win over the saved settings until the player changes something.
+
+const PHYSICS_STORAGE_KEY = 'physics';
+
+let physicsSettings = {
+    preset: 'normal', // A PHYSICS_PRESETS name or 'custom'
+    values: Object.assign({}, DEFAULT_PHYSICS)
+};
+
+function loadPhysicsSettings(search = window.location.search) {
+    const saved = readStorage(PHYSICS_STORAGE_KEY, null);
+    if (saved && saved.values) {
+        physicsSettings = {
+            preset: saved.preset,
+            values: Object.assign({}, DEFAULT_PHYSICS, saved.values)
+        };
+    }
+
+    // Shared links override the saved settings
+    const params = new URLSearchParams(search);
+    const difficulty = params.get('difficulty');
+    if (difficulty && PHYSICS_PRESETS[difficulty]) {
+        physicsSettings = { preset: difficulty, values: Object.assign({}, PHYSICS_PRESETS[difficulty]) };
+    }
+    for (let key of Object.keys(PHYSICS_SETTING_RANGES)) {
+        if (!params.has(key)) continue;
+        const value = clampPhysicsValue(key, Number(params.get(key)));
+        if (value !== null) {
+            physicsSettings.values[key] = value;
+            physicsSettings.preset = 'custom';
+        }
+    }
+}
+
+function savePhysicsSettings() {
+    writeStorage(PHYSICS_STORAGE_KEY, physicsSettings);
+}
+
+function setPhysicsPreset(name) {
+    if (!PHYSICS_PRESETS[name]) return;
+    physicsSettings = { preset: name, values: Object.assign({}, PHYSICS_PRESETS[name]) };
+    savePhysicsSettings();
+}
+
+function setPhysicsValue(key, value) {
+    const clamped = clampPhysicsValue(key, value);
+    if (clamped === null) return;
+    physicsSettings.values[key] = clamped;
+    physicsSettings.preset = 'custom';
+    savePhysicsSettings();
+}
+
+// A link to this page that loads the current settings
+function getPhysicsShareUrl(href = window.location.href) {
+    const url = new URL(href);
+    url.searchParams.delete('difficulty');
+    for (let key of Object.keys(PHYSICS_SETTING_RANGES)) {
+        url.searchParams.delete(key);
+    }
+
+    if (physicsSettings.preset !== 'custom') {
+        url.searchParams.set('difficulty', physicsSettings.preset);
+    } else {
+        for (let key of Object.keys(PHYSICS_SETTING_RANGES)) {
+            url.searchParams.set(key, physicsSettings.values[key]);
+        }
+    }
+    return url.toString();
+}
@@ -0,0 +1,35 @@
+// Small helpers around localStorage
+//
+// Values are stored as JSON under a shared prefix. Storage can be missing,
+// full or blocked (private browsing), so failures are logged and ignored
+// rather than breaking the game.
+
+const STORAGE_PREFIX = 'ballBearing.';
+
+function readStorage(key, fallback) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+        console.warn(`Could not read ${key} from storage:`, e);
+        return fallback;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (e) {
+        console.warn(`Could not write ${key} to storage:`, e);
+        return false;
+    }
+}
+
+function removeStorage(key) {
+    try {
+        window.localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (e) {
+        console.warn(`Could not remove ${key} from storage:`, e);
+    }
+}
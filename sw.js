@@ -0,0 +1,87 @@
+// Service worker: keeps a copy of the whole game so it loads and plays offline
+//
+// Every file the game needs is precached under a cache named after
+// CACHE_VERSION, which the deploy workflow stamps with the commit it builds.
+// A new deploy therefore means a new worker with a new cache; it installs in
+// the background and waits until the page asks it to take over (the "update
+// available" prompt in game.js), then removes the old caches.
+//
+// Local copies keep the 'dev' version. They fetch from the network first so
+// edits show up on reload, and fall back to the cache when offline.
+
+const CACHE_VERSION = 'dev';
+const CACHE_NAME = `ball-bearing-${CACHE_VERSION}`;
+
+// Everything index.html loads. Add new files here as well.
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'storage.js',
+    'i18n.js',
+    'collision.js',
+    'levels.js',
+    'world.js',
+    'settings.js',
+    'replay.js',
+    'leaderboard.js',
+    'input.js',
+    'tilt.js',
+    'pointer.js',
+    'gamepad.js',
+    'haptics.js',
+    'audio.js',
+    'effects.js',
+    'themes.js',
+    'accessibility.js',
+    'pwa.js',
+    'display.js',
+    'editor.js',
+    'game.js'
+];
+
+self.addEventListener('install', event => {
+    // Skip the HTTP cache so the precache never picks up a stale file
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('ball-bearing-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page calls this once the player agrees to reload onto the new version
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // index.html?level=... and friends are all the same page
+    const cached = () => caches.open(CACHE_NAME).then(cache =>
+        cache.match(request, { ignoreSearch: request.mode === 'navigate' }));
+
+    if (CACHE_VERSION === 'dev') {
+        event.respondWith(fetch(request).catch(() => cached().then(response => response || Response.error())));
+        return;
+    }
+
+    // Precached files come from the cache; anything else (custom levels,
+    // themes and recorded sounds) goes to the network
+    event.respondWith(cached().then(response => response || fetch(request)));
+});
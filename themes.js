@@ -0,0 +1,195 @@
+// Themes: how the board, walls, dents and balls look
+//
+// A theme is plain JSON, so new ones (seasonal variants and the like) need no
+// rendering changes. Anything a theme leaves out comes from the classic theme.
+//
+// {
+//     "id": "classic",
+//     "name": "Classic",
+//     "page": "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",   // CSS background around the board
+//     "board": { "color": "#ffffff", "texture": { "type": "none" } },
+//     "walls": { "color": "#333333" },
+//     "dents": {
+//         "target": { "fill": "rgba(255, 152, 0, 0.2)", "stroke": "#FF9800" },
+//         "captured": { "fill": "rgba(76, 175, 80, 0.3)", "stroke": "#FF9800" },
+//         "plain": { "fill": "rgba(158, 158, 158, 0.2)", "stroke": "#9E9E9E" }
+//     },
+//     "ball": { "material": "steel", "colors": ["#ffffff", "#cccccc", "#666666"] },
+//     "effects": { "trail": "#78909c", "spark": "#ffb43c", "glow": "#69f0ae" }
+// }
+//
+// Board textures: "none", or "grid", "dots" and "stripes" with a "color" and
+// a "spacing" in world pixels. Ball materials: "steel", "marble" (add a "vein"
+// color) and "glass". Ball colors run from highlight to shadow. Effect colors
+// are "#rrggbb" hex, since trails, sparks and capture glows fade them out.
+
+const THEME_STORAGE_KEY = 'theme';
+const BOARD_TEXTURES = ['none', 'grid', 'dots', 'stripes'];
+const BALL_MATERIALS = ['steel', 'marble', 'glass'];
+const EFFECT_COLORS = ['trail', 'spark', 'glow'];
+
+const THEMES = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        page: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+        board: { color: '#ffffff', texture: { type: 'none' } },
+        walls: { color: '#333333' },
+        dents: {
+            target: { fill: 'rgba(255, 152, 0, 0.2)', stroke: '#FF9800' },
+            captured: { fill: 'rgba(76, 175, 80, 0.3)', stroke: '#FF9800' },
+            plain: { fill: 'rgba(158, 158, 158, 0.2)', stroke: '#9E9E9E' }
+        },
+        ball: { material: 'steel', colors: ['#ffffff', '#cccccc', '#666666'] },
+        effects: { trail: '#78909c', spark: '#ffb43c', glow: '#69f0ae' }
+    },
+    {
+        id: 'dark',
+        name: 'Dark',
+        page: 'linear-gradient(135deg, #1a1a2e 0%, #16213e 100%)',
+        board: { color: '#1e1e24', texture: { type: 'grid', color: 'rgba(255, 255, 255, 0.04)', spacing: 50 } },
+        walls: { color: '#9e9eb0' },
+        dents: {
+            target: { fill: 'rgba(255, 167, 38, 0.15)', stroke: '#FFA726' },
+            captured: { fill: 'rgba(102, 187, 106, 0.3)', stroke: '#FFA726' },
+            plain: { fill: 'rgba(158, 158, 158, 0.12)', stroke: '#616161' }
+        },
+        ball: { material: 'steel', colors: ['#f5f5f5', '#b0b0b8', '#4a4a55'] },
+        effects: { trail: '#b0bec5', spark: '#ffb74d', glow: '#69f0ae' }
+    },
+    {
+        id: 'parlor',
+        name: 'Parlor',
+        page: 'linear-gradient(135deg, #3e2723 0%, #5d4037 100%)',
+        board: { color: '#2e7d32', texture: { type: 'dots', color: 'rgba(0, 0, 0, 0.08)', spacing: 12 } },
+        walls: { color: '#6d4c41' },
+        dents: {
+            target: { fill: 'rgba(255, 224, 130, 0.25)', stroke: '#FFE082' },
+            captured: { fill: 'rgba(255, 255, 255, 0.3)', stroke: '#FFE082' },
+            plain: { fill: 'rgba(0, 0, 0, 0.15)', stroke: '#1b5e20' }
+        },
+        ball: { material: 'marble', colors: ['#ffffff', '#e3f2fd', '#5c6bc0'], vein: 'rgba(26, 35, 126, 0.5)' },
+        effects: { trail: '#c8e6c9', spark: '#ffe082', glow: '#fff59d' }
+    },
+    {
+        id: 'winter',
+        name: 'Winter',
+        page: 'linear-gradient(135deg, #4fc3f7 0%, #e1f5fe 100%)',
+        board: { color: '#f1f8ff', texture: { type: 'stripes', color: 'rgba(144, 202, 249, 0.15)', spacing: 30 } },
+        walls: { color: '#546e7a' },
+        dents: {
+            target: { fill: 'rgba(3, 169, 244, 0.15)', stroke: '#0288D1' },
+            captured: { fill: 'rgba(0, 200, 83, 0.25)', stroke: '#0288D1' },
+            plain: { fill: 'rgba(176, 190, 197, 0.25)', stroke: '#90A4AE' }
+        },
+        ball: { material: 'glass', colors: ['#ffffff', '#b3e5fc', '#0277bd'] },
+        effects: { trail: '#4fc3f7', spark: '#0288d1', glow: '#00c853' }
+    },
+    {
+        // Also used by the "High contrast" accessibility option
+        id: 'contrast',
+        name: 'High Contrast',
+        page: '#000000',
+        board: { color: '#000000', texture: { type: 'none' } },
+        walls: { color: '#ffffff' },
+        dents: {
+            target: { fill: 'rgba(255, 235, 59, 0.35)', stroke: '#FFEB3B' },
+            captured: { fill: 'rgba(0, 230, 118, 0.6)', stroke: '#00E676' },
+            plain: { fill: 'rgba(255, 255, 255, 0.1)', stroke: '#BDBDBD' }
+        },
+        ball: { material: 'steel', colors: ['#ffffff', '#ffffff', '#00B0FF'] },
+        effects: { trail: '#00b0ff', spark: '#ffeb3b', glow: '#00e676' }
+    }
+];
+
+let themeSettings = {
+    theme: 'auto' // A theme id, or 'auto' for classic or dark following prefers-color-scheme
+};
+
+// Validate a theme (object or JSON text) and fill its gaps from the classic theme.
+// Throws an Error describing the first problem found.
+function parseTheme(data) {
+    const theme = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!theme || typeof theme !== 'object') {
+        throw new Error('Theme must be an object');
+    }
+
+    const base = THEMES[0];
+    const dents = theme.dents || {};
+    const parsed = {
+        id: theme.id || 'custom',
+        name: theme.name || 'Custom Theme',
+        page: theme.page || base.page,
+        board: Object.assign({}, base.board, theme.board),
+        walls: Object.assign({}, base.walls, theme.walls),
+        dents: {
+            target: Object.assign({}, base.dents.target, dents.target),
+            captured: Object.assign({}, base.dents.captured, dents.captured),
+            plain: Object.assign({}, base.dents.plain, dents.plain)
+        },
+        ball: Object.assign({}, base.ball, theme.ball),
+        effects: Object.assign({}, base.effects, theme.effects)
+    };
+
+    const texture = parsed.board.texture || { type: 'none' };
+    if (!BOARD_TEXTURES.includes(texture.type)) {
+        throw new Error(`Unknown board texture "${texture.type}"`);
+    }
+    if (texture.type !== 'none' && !(texture.spacing > 0)) {
+        throw new Error('Board texture needs a spacing above 0');
+    }
+    if (!BALL_MATERIALS.includes(parsed.ball.material)) {
+        throw new Error(`Unknown ball material "${parsed.ball.material}"`);
+    }
+    if (!Array.isArray(parsed.ball.colors) || parsed.ball.colors.length !== 3) {
+        throw new Error('Ball colors must list 3 colors, highlight to shadow');
+    }
+    for (let key of EFFECT_COLORS) {
+        if (!/^#[0-9a-f]{6}$/i.test(parsed.effects[key])) {
+            throw new Error(`Effect color "${key}" must be a #rrggbb hex color`);
+        }
+    }
+    return parsed;
+}
+
+// Load a theme from a JSON file served alongside the game
+async function fetchTheme(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load theme ${url}: ${response.status}`);
+    }
+    return parseTheme(await response.text());
+}
+
+function loadThemeSettings() {
+    themeSettings = Object.assign({}, themeSettings, readStorage(THEME_STORAGE_KEY, {}));
+}
+
+function setThemeChoice(id) {
+    themeSettings.theme = id;
+    writeStorage(THEME_STORAGE_KEY, themeSettings);
+}
+
+function prefersDarkMode() {
+    return typeof window !== 'undefined' && window.matchMedia
+        ? window.matchMedia('(prefers-color-scheme: dark)').matches
+        : false;
+}
+
+// A theme's "#rrggbb" color at the given opacity, for effects that fade
+function themeColorWithAlpha(color, alpha) {
+    const value = parseInt(color.slice(1), 16);
+    return `rgba(${value >> 16}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// The theme to draw with, out of the parsed themes available
+function resolveTheme(themes) {
+    const id = themeSettings.theme === 'auto'
+        ? (prefersDarkMode() ? 'dark' : 'classic')
+        : themeSettings.theme;
+    return themes.find(theme => theme.id === id) || themes[0];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { THEMES, parseTheme, fetchTheme, themeColorWithAlpha };
+}
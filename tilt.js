@@ -0,0 +1,102 @@
+// Device tilt calibration and orientation-aware axis mapping
+//
+// Raw accelerationIncludingGravity readings are in the device's own axes.
+// mapDeviceTilt() subtracts the recorded resting pose, rotates the result into
+// the screen's current orientation and scales it by the player's sensitivity,
+// giving the tilt the world expects (x to the right, y down the screen).
+
+const DEFAULT_SENSITIVITY = 0.3;
+const MIN_SENSITIVITY = 0.1;
+const MAX_SENSITIVITY = 0.8;
+const CALIBRATION_DURATION = 1500; // Milliseconds of readings averaged into the resting pose
+const TILT_STORAGE_KEY = 'tilt';
+
+let tiltSettings = {
+    neutralX: 0, // Resting reading in device axes, subtracted from every sample
+    neutralY: 0,
+    sensitivity: DEFAULT_SENSITIVITY
+};
+
+function loadTiltSettings() {
+    tiltSettings = Object.assign({}, tiltSettings, readStorage(TILT_STORAGE_KEY, {}));
+}
+
+function saveTiltSettings() {
+    writeStorage(TILT_STORAGE_KEY, tiltSettings);
+}
+
+function setSensitivity(value) {
+    tiltSettings.sensitivity = Math.min(MAX_SENSITIVITY, Math.max(MIN_SENSITIVITY, value));
+    saveTiltSettings();
+}
+
+function resetCalibration() {
+    tiltSettings.neutralX = 0;
+    tiltSettings.neutralY = 0;
+    saveTiltSettings();
+}
+
+// How far the device is turned counter-clockwise from its natural portrait, in degrees
+function getScreenAngle() {
+    if (window.screen && window.screen.orientation && typeof window.screen.orientation.angle === 'number') {
+        return window.screen.orientation.angle;
+    }
+    // Older iOS Safari only has window.orientation, which reports -90 instead of 270
+    if (typeof window.orientation === 'number') {
+        return (window.orientation + 360) % 360;
+    }
+    return 0;
+}
+
+function mapDeviceTilt(rawX, rawY) {
+    const x = rawX - tiltSettings.neutralX;
+    const y = rawY - tiltSettings.neutralY;
+
+    // Project the device-axis reading onto the screen's right and up directions
+    const angle = getScreenAngle() * Math.PI / 180;
+    const cos = Math.round(Math.cos(angle) * 1e6) / 1e6;
+    const sin = Math.round(Math.sin(angle) * 1e6) / 1e6;
+    const screenX = x * cos - y * sin;
+    const screenY = x * sin + y * cos;
+
+    // X is negated to match expected left/right tilt behavior
+    return {
+        x: -screenX * tiltSettings.sensitivity,
+        y: screenY * tiltSettings.sensitivity
+    };
+}
+
+// Average the raw readings while the player holds the phone still and store
+// them as the resting pose. Device motion readings are preferred; orientation
+// readings are used on devices that only have those. Resolves with the pose,
+// or rejects if no sensor readings arrive.
+function calibrateNeutral() {
+    return new Promise((resolve, reject) => {
+        const samples = { motion: [], orientation: [] };
+        const collectMotion = event => {
+            const reading = readMotionEvent(event);
+            if (reading) samples.motion.push(reading);
+        };
+        const collectOrientation = event => {
+            const reading = readOrientationEvent(event);
+            if (reading) samples.orientation.push(reading);
+        };
+
+        window.addEventListener('devicemotion', collectMotion);
+        window.addEventListener('deviceorientation', collectOrientation);
+        setTimeout(() => {
+            window.removeEventListener('devicemotion', collectMotion);
+            window.removeEventListener('deviceorientation', collectOrientation);
+
+            const readings = samples.motion.length > 0 ? samples.motion : samples.orientation;
+            if (readings.length === 0) {
+                reject(new Error('No motion sensor readings'));
+                return;
+            }
+            tiltSettings.neutralX = readings.reduce((sum, reading) => sum + reading.x, 0) / readings.length;
+            tiltSettings.neutralY = readings.reduce((sum, reading) => sum + reading.y, 0) / readings.length;
+            saveTiltSettings();
+            resolve({ x: tiltSettings.neutralX, y: tiltSettings.neutralY });
+        }, CALIBRATION_DURATION);
+    });
+}
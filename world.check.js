@@ -0,0 +1,101 @@
+// Checks that the headless simulation still captures, releases and wins
+//
+// Run with `node world.check.js`. Each check lays out a small level, tilts the
+// board and asserts on the events the world emits. Nothing here is random:
+// worlds are seeded, so a failure is the same on every run.
+
+const assert = require('assert');
+const { createWorld } = require('./world.js');
+const { parseLevel } = require('./levels.js');
+
+const STEP = 1 / 120; // The browser's fixed physics step
+const BOARD_SIZE = 600;
+
+// A world on a square board that records every capture, escape and win
+function createCheckedWorld(level) {
+    const world = createWorld(parseLevel(level), BOARD_SIZE, BOARD_SIZE, { seed: 1 });
+    const events = [];
+    for (let type of ['capture', 'escape', 'win']) {
+        world.on(type, event => events.push(Object.assign({ type, time: world.time }, event)));
+    }
+    return { world, events };
+}
+
+// Hold the tilt for the given number of seconds
+function tilt(world, input, seconds) {
+    for (let i = 0; i < Math.round(seconds / STEP); i++) {
+        world.step(input, STEP);
+    }
+}
+
+const checks = {
+    'a ball rolled into a target dent is captured'() {
+        const { world, events } = createCheckedWorld({
+            dents: [{ x: 0, y: 1 }, { x: 1, y: 0 }],
+            balls: [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.5 }],
+            required: 2
+        });
+        tilt(world, { x: -1, y: 1 }, 3);
+
+        const captures = events.filter(event => event.type === 'capture');
+        assert.ok(captures.length > 0, 'no capture');
+        assert.strictEqual(captures[0].dentIndex, 0);
+        assert.ok(world.ballStates.every(state => state.captured && state.cornerIndex === 0));
+        assert.strictEqual(world.won, false, 'won with one of two dents filled');
+    },
+
+    'a captured ball tilted hard the other way escapes'() {
+        const { world, events } = createCheckedWorld({
+            dents: [{ x: 0, y: 1 }, { x: 1, y: 0 }],
+            balls: [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.5 }],
+            required: 2
+        });
+        tilt(world, { x: -1, y: 1 }, 3);
+        events.length = 0;
+        tilt(world, { x: 1, y: -1 }, 0.5);
+
+        const escapes = events.filter(event => event.type === 'escape');
+        assert.strictEqual(escapes.length, 2, 'expected both balls to escape');
+        assert.ok(escapes.every(event => event.dentIndex === 0));
+        assert.ok(world.ballStates.every(state => !state.captured));
+    },
+
+    'a light tilt leaves a captured ball where it is'() {
+        const { world, events } = createCheckedWorld({
+            dents: [{ x: 0, y: 1 }, { x: 1, y: 0 }],
+            balls: [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.5 }],
+            required: 2
+        });
+        tilt(world, { x: -1, y: 1 }, 3);
+        events.length = 0;
+        tilt(world, { x: 0.2, y: -0.2 }, 1);
+
+        assert.deepStrictEqual(events, []);
+    },
+
+    'filling the required dents wins and stops the clock'() {
+        const { world, events } = createCheckedWorld({
+            dents: [{ x: 0, y: 1 }],
+            balls: [{ x: 0.5, y: 0.5 }]
+        });
+        tilt(world, { x: -1, y: 1 }, 3);
+
+        const wins = events.filter(event => event.type === 'win');
+        assert.strictEqual(wins.length, 1);
+        assert.strictEqual(world.won, true);
+        assert.strictEqual(world.time, wins[0].time, 'time kept running after the win');
+        assert.ok(events.findIndex(event => event.type === 'capture') < events.indexOf(wins[0]));
+    }
+};
+
+let failures = 0;
+for (let [name, check] of Object.entries(checks)) {
+    try {
+        check();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`FAILED - ${name}\n${error.stack}`);
+    }
+}
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,468 @@
+// Headless game simulation
+//
+// A world holds one level's balls, walls and dents and advances them with
+// step(input, dt). It never touches the DOM, canvas or audio: things that
+// happen during a step are reported as events instead, so the same code runs
+// in the browser and under Node.
+//
+// Events:
+//   'bounce'  { ballIndex, speed, x, y }   hardest wall hit for a ball this step
+//   'collide' { speed, x, y }              hardest ball-to-ball hit this step
+//   'capture' { ballIndex, dentIndex }     a ball settled into a target dent
+//   'escape'  { ballIndex, dentIndex }     a captured ball left its dent
+//   'win'     {}                           enough target dents hold a ball
+//
+// Speeds are in pixels per second and positions in world pixels. World pixels
+// are logical units of the board size the world was created with; the browser
+// scales them to the screen.
+
+// Physics runs in pixels and seconds. Tilt values (input.x/y and the escape
+// threshold) stay in the original per-frame units and are scaled by
+// TILT_ACCELERATION, which matches the old feel at 60 frames per second.
+const BOUNCE_EFFICIENCY = 0.9;
+const BALL_RADIUS = 15;
+const TILT_ACCELERATION = 3600; // Pixels per second squared for one unit of tilt
+const FRICTION = 0.55; // Fraction of velocity kept after rolling for one second
+const STICKY_RADIUS = 30; // Default dent radius; levels can set their own per dent
+const STICKY_STRENGTH = 0.0067; // Extra fraction of velocity kept per second inside a dent (higher = less sticky)
+const STICKY_ESCAPE_THRESHOLD = 0.5; // Minimum tilt force needed to escape sticky zone (simulates climbing out of a dent)
+const CORNER_CAPTURE_THRESHOLD = 150; // Max velocity to be captured in corner, in pixels per second
+const CORNER_CAPTURE_RADIUS_FACTOR = 0.5; // Multiplier for sticky radius to determine capture zone
+const BALL_RESTITUTION = 0.85; // Fraction of closing speed kept when two balls collide
+const MAX_STEP_FRACTION = 0.5; // Largest distance a ball moves per collision check, as a fraction of its radius
+
+// The tunable part of the physics. A world copies these into world.physics
+// (overridden by options.physics) and reads them every step, so they can be
+// changed while it runs.
+const DEFAULT_PHYSICS = {
+    bounceEfficiency: BOUNCE_EFFICIENCY,
+    friction: FRICTION,
+    stickyStrength: STICKY_STRENGTH,
+    stickyEscapeThreshold: STICKY_ESCAPE_THRESHOLD,
+    cornerCaptureThreshold: CORNER_CAPTURE_THRESHOLD,
+    ballRadius: BALL_RADIUS
+};
+
+const PHYSICS_PRESETS = {
+    // Heavier friction, softer bounces and deeper dents
+    easy: {
+        bounceEfficiency: 0.7,
+        friction: 0.4,
+        stickyStrength: 0.003,
+        stickyEscapeThreshold: 0.7,
+        cornerCaptureThreshold: 220,
+        ballRadius: BALL_RADIUS
+    },
+    normal: DEFAULT_PHYSICS,
+    // Livelier balls that are easy to knock out of shallow dents
+    hard: {
+        bounceEfficiency: 0.95,
+        friction: 0.7,
+        stickyStrength: 0.02,
+        stickyEscapeThreshold: 0.35,
+        cornerCaptureThreshold: 100,
+        ballRadius: BALL_RADIUS
+    }
+};
+
+// Allowed range of each tunable value. The advanced settings use these for
+// their sliders (each labelled by its 'physics.<key>' message in i18n.js), and
+// replays are checked against them before they're played.
+const PHYSICS_SETTING_RANGES = {
+    bounceEfficiency: { min: 0.3, max: 1, step: 0.01 },
+    friction: { min: 0.1, max: 0.95, step: 0.01 },
+    stickyStrength: { min: 0.001, max: 0.05, step: 0.001 },
+    stickyEscapeThreshold: { min: 0.1, max: 1.5, step: 0.05 },
+    cornerCaptureThreshold: { min: 30, max: 400, step: 5 },
+    ballRadius: { min: 8, max: 25, step: 1 }
+};
+
+// Keep a value inside its range; returns null for an unknown key or anything that isn't a number
+function clampPhysicsValue(key, value) {
+    const range = PHYSICS_SETTING_RANGES[key];
+    if (!range || !Number.isFinite(value)) return null;
+    return Math.max(range.min, Math.min(range.max, value));
+}
+
+// Under Node the collision helpers come from require(); in the browser
+// collision.js has already defined them as globals
+const Collision = typeof module !== 'undefined' && module.exports ? require('./collision.js') : window;
+
+// Seeded pseudo-random generator (mulberry32), returning floats in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Build a world for a parsed level laid out on a width x height board.
+// options.seed seeds world.random; anything random in the simulation must use
+// it so that recorded runs replay exactly. options.physics overrides any of
+// DEFAULT_PHYSICS.
+function createWorld(level, width, height, options = {}) {
+    const listeners = {};
+    const seed = options.seed !== undefined ? options.seed : 0;
+
+    const world = {
+        level,
+        width,
+        height,
+        seed,
+        random: createRandom(seed),
+        physics: Object.assign({}, DEFAULT_PHYSICS, options.physics),
+        balls: [],
+        ballStates: [], // Track if balls are captured in target dents
+        stickySpots: [],
+        walls: [], // Collision shapes in world pixels
+        cornerCaptureCache: {}, // Cache for which target dents have captured balls
+        time: 0, // Simulated seconds since the world was created, stops at the win
+        won: false,
+
+        on(type, handler) {
+            (listeners[type] = listeners[type] || []).push(handler);
+        },
+
+        off(type, handler) {
+            if (!listeners[type]) return;
+            listeners[type] = listeners[type].filter(listener => listener !== handler);
+        },
+
+        // Snapshot of everything that changes as the world runs. Positions and
+        // velocities are fractions of the board, so the snapshot can be
+        // restored onto a board of a different size.
+        saveState() {
+            return {
+                time: world.time,
+                won: world.won,
+                balls: world.balls.map(ball => ({
+                    x: ball.x / width,
+                    y: ball.y / height,
+                    vx: ball.vx / width,
+                    vy: ball.vy / height
+                })),
+                ballStates: world.ballStates.map(state => ({ captured: state.captured, cornerIndex: state.cornerIndex })),
+                cornerCaptureCache: Object.assign({}, world.cornerCaptureCache)
+            };
+        },
+
+        // Put back a snapshot from saveState(). Throws if it's for another level.
+        restoreState(state) {
+            if (!state || !Array.isArray(state.balls) || state.balls.length !== world.balls.length) {
+                throw new Error('Saved state does not match this level');
+            }
+
+            world.time = state.time;
+            world.won = state.won;
+            state.balls.forEach((saved, i) => {
+                const ball = world.balls[i];
+                ball.x = ball.prevX = saved.x * width;
+                ball.y = ball.prevY = saved.y * height;
+                ball.vx = saved.vx * width;
+                ball.vy = saved.vy * height;
+                world.ballStates[i] = { captured: state.ballStates[i].captured, cornerIndex: state.ballStates[i].cornerIndex };
+            });
+            for (let i = 0; i < level.dents.length; i++) {
+                world.cornerCaptureCache[i] = state.cornerCaptureCache[i] === true;
+            }
+        },
+
+        // Advance the simulation by dt seconds. input is the tilt { x, y }.
+        step(input, dt) {
+            if (world.won) return;
+            world.time += dt;
+
+            // Update each ball
+            for (let i = 0; i < world.balls.length; i++) {
+                updateBall(world.balls[i], i, input, dt);
+            }
+
+            // Let balls that share a room knock into each other
+            if (level.ballCollisions) {
+                updateBallCollisions();
+            }
+
+            // Check win condition
+            checkWinCondition();
+        }
+    };
+
+    function emit(type, event) {
+        for (let handler of listeners[type] || []) {
+            handler(event);
+        }
+    }
+
+    function initBalls() {
+        // Create balls at the level's spawn points
+        for (let spawn of level.balls) {
+            world.balls.push({
+                x: spawn.x * width,
+                y: spawn.y * height,
+                prevX: spawn.x * width, // Position before the last physics step, for interpolated drawing
+                prevY: spawn.y * height,
+                vx: 0,
+                vy: 0,
+                radius: world.physics.ballRadius
+            });
+            world.ballStates.push({ captured: false, cornerIndex: -1 });
+        }
+
+        // Initialize dent capture cache
+        for (let i = 0; i < level.dents.length; i++) {
+            world.cornerCaptureCache[i] = false;
+        }
+    }
+
+    function initStickySpots() {
+        // Every dent is sticky; only target dents can capture a ball
+        world.stickySpots = level.dents.map((dent, index) => ({
+            x: dent.x * width,
+            y: dent.y * height,
+            radius: dent.radius || STICKY_RADIUS,
+            strength: dent.strength !== undefined ? dent.strength : 1, // Multiplies the tilt needed to leave
+            isTarget: dent.target,
+            index: index
+        }));
+    }
+
+    function initWalls() {
+        // Convert the level's walls into collision shapes in world pixels
+        world.walls = level.walls.map(wall => {
+            if (wall.points) {
+                return {
+                    type: 'polygon',
+                    points: wall.points.map(point => ({ x: point.x * width, y: point.y * height }))
+                };
+            }
+            return {
+                type: 'segment',
+                x1: wall.x1 * width,
+                y1: wall.y1 * height,
+                x2: wall.x2 * width,
+                y2: wall.y2 * height,
+                radius: wall.thickness / 2
+            };
+        });
+    }
+
+    function updateBallCollisions() {
+        let hardestImpact = 0;
+        let impactX = 0;
+        let impactY = 0;
+
+        for (let i = 0; i < world.balls.length; i++) {
+            for (let j = i + 1; j < world.balls.length; j++) {
+                const a = world.balls[i];
+                const b = world.balls[j];
+                const impact = Collision.collideBalls(a, b, BALL_RESTITUTION);
+                if (impact > hardestImpact) {
+                    hardestImpact = impact;
+                    impactX = (a.x + b.x) / 2;
+                    impactY = (a.y + b.y) / 2;
+                }
+            }
+        }
+
+        // One event per step, for the hardest hit
+        if (hardestImpact > 0) {
+            emit('collide', { speed: hardestImpact, x: impactX, y: impactY });
+        }
+    }
+
+    // Helper function to check if ball is actually inside a dent (not just rolling past along a wall)
+    function isInDent(ball, spot) {
+        return Math.abs(ball.x - spot.x) < spot.radius && Math.abs(ball.y - spot.y) < spot.radius;
+    }
+
+    function updateBall(ball, ballIndex, input, dt) {
+        const ballStates = world.ballStates;
+        const cornerCaptureCache = world.cornerCaptureCache;
+        const physics = world.physics;
+        ball.radius = physics.ballRadius;
+        ball.prevX = ball.x;
+        ball.prevY = ball.y;
+
+        // Check if ball is in a sticky corner BEFORE applying forces
+        let stickySpot = null;
+
+        for (let spot of world.stickySpots) {
+            const dx = ball.x - spot.x;
+            const dy = ball.y - spot.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const edgeDist = Math.max(0, dist - ball.radius);
+
+            // Only apply dampening if ball is actually in the corner region
+            // Check both distance from the ball's edge and that ball is actually near the corner (not just along wall)
+            const isInCorner = edgeDist < spot.radius && isInDent(ball, spot);
+
+            if (isInCorner) {
+                stickySpot = spot;
+                break;
+            }
+        }
+
+        // If ball is in a sticky corner, check if applied force is strong enough to escape
+        if (stickySpot) {
+            // Calculate the total applied force (tilt magnitude)
+            const appliedForce = Math.sqrt(input.x * input.x + input.y * input.y);
+
+            // If the applied force is below the escape threshold, hold the ball completely still
+            // This simulates a dent in the floor that holds the ball until sufficient tilt
+            if (appliedForce < physics.stickyEscapeThreshold * stickySpot.strength) {
+                // Hold the ball completely still - don't apply any forces, set velocity to zero
+                ball.vx = 0;
+                ball.vy = 0;
+                // Don't apply acceleration or friction
+            } else {
+                // Applied force exceeds threshold, allow movement but with dampening
+                const damping = Math.pow(physics.friction * physics.stickyStrength, dt);
+                ball.vx += input.x * TILT_ACCELERATION * dt;
+                ball.vy += input.y * TILT_ACCELERATION * dt;
+                ball.vx *= damping;
+                ball.vy *= damping;
+            }
+        } else {
+            // Not in sticky corner - apply forces normally
+            const damping = Math.pow(physics.friction, dt);
+            ball.vx += input.x * TILT_ACCELERATION * dt;
+            ball.vy += input.y * TILT_ACCELERATION * dt;
+            ball.vx *= damping;
+            ball.vy *= damping;
+        }
+
+        // Check capture state for all target dents
+        for (let spot of world.stickySpots) {
+            if (!spot.isTarget) continue;
+
+            const dx = ball.x - spot.x;
+            const dy = ball.y - spot.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const edgeDist = Math.max(0, dist - ball.radius);
+            const isInCorner = edgeDist < spot.radius && isInDent(ball, spot);
+
+            if (isInCorner) {
+                const velocity = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+                const wasCapture = ballStates[ballIndex].captured;
+                const isNowCaptured = velocity < physics.cornerCaptureThreshold
+                    && isInCorner;
+
+                if (isNowCaptured && !wasCapture) {
+                    // Ball just got captured
+                    ballStates[ballIndex].captured = true;
+                    ballStates[ballIndex].cornerIndex = spot.index;
+                    cornerCaptureCache[spot.index] = true;
+                    emit('capture', { ballIndex, dentIndex: spot.index });
+                } else if (!isNowCaptured && wasCapture && ballStates[ballIndex].cornerIndex === spot.index) {
+                    // Ball just escaped
+                    ballStates[ballIndex].captured = false;
+                    ballStates[ballIndex].cornerIndex = -1;
+                    cornerCaptureCache[spot.index] = false;
+                    emit('escape', { ballIndex, dentIndex: spot.index });
+                } else if (isNowCaptured) {
+                    // Still captured
+                    ballStates[ballIndex].captured = true;
+                    ballStates[ballIndex].cornerIndex = spot.index;
+                    cornerCaptureCache[spot.index] = true;
+                }
+            } else if (ballStates[ballIndex].captured && ballStates[ballIndex].cornerIndex === spot.index) {
+                // Ball has moved away from corner - it escaped
+                ballStates[ballIndex].captured = false;
+                ballStates[ballIndex].cornerIndex = -1;
+                cornerCaptureCache[spot.index] = false;
+                emit('escape', { ballIndex, dentIndex: spot.index });
+            }
+        }
+
+        // Update position in small steps so fast balls can't pass through thin walls
+        const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+        const steps = Math.max(1, Math.ceil(speed * dt / (ball.radius * MAX_STEP_FRACTION)));
+        let bounced = false;
+        let bounceVelocity = 0;
+
+        for (let step = 0; step < steps; step++) {
+            ball.x += ball.vx * dt / steps;
+            ball.y += ball.vy * dt / steps;
+
+            // Collision detection with level walls
+            const impact = Collision.collideWithShapes(ball, world.walls, physics.bounceEfficiency);
+            if (impact > 0) {
+                bounceVelocity = Math.max(bounceVelocity, impact);
+                bounced = true;
+            }
+        }
+
+        // Collision detection with the outer edges of the board
+
+        // Left boundary
+        if (ball.x - ball.radius < 0) {
+            ball.x = ball.radius;
+            bounceVelocity = Math.max(bounceVelocity, Math.abs(ball.vx));
+            ball.vx = -ball.vx * physics.bounceEfficiency;
+            bounced = true;
+        }
+
+        // Right boundary
+        if (ball.x + ball.radius > width) {
+            ball.x = width - ball.radius;
+            bounceVelocity = Math.max(bounceVelocity, Math.abs(ball.vx));
+            ball.vx = -ball.vx * physics.bounceEfficiency;
+            bounced = true;
+        }
+
+        // Top boundary
+        if (ball.y - ball.radius < 0) {
+            ball.y = ball.radius;
+            bounceVelocity = Math.max(bounceVelocity, Math.abs(ball.vy));
+            ball.vy = -ball.vy * physics.bounceEfficiency;
+            bounced = true;
+        }
+
+        // Bottom boundary
+        if (ball.y + ball.radius > height) {
+            ball.y = height - ball.radius;
+            bounceVelocity = Math.max(bounceVelocity, Math.abs(ball.vy));
+            ball.vy = -ball.vy * physics.bounceEfficiency;
+            bounced = true;
+        }
+
+        if (bounced) {
+            emit('bounce', { ballIndex, speed: bounceVelocity, x: ball.x, y: ball.y });
+        }
+    }
+
+    function checkWinCondition() {
+        // Check if enough different target dents hold a captured ball
+        const capturedDents = new Set(
+            world.ballStates.filter(state => state.captured).map(state => state.cornerIndex)
+        );
+
+        if (capturedDents.size >= level.required) {
+            world.won = true;
+            emit('win', {});
+        }
+    }
+
+    initBalls();
+    initStickySpots();
+    initWalls();
+    return world;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createWorld,
+        createRandom,
+        DEFAULT_PHYSICS,
+        PHYSICS_PRESETS,
+        PHYSICS_SETTING_RANGES,
+        clampPhysicsValue,
+        STICKY_RADIUS,
+        STICKY_ESCAPE_THRESHOLD,
+        CORNER_CAPTURE_THRESHOLD
+    };
+}